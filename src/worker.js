@@ -13,27 +13,73 @@
  * - Programmatically create tables with a fixed schema
  * - List all tables in the database
  * - List records with optional `min_id`, `limit`, and `offset`
+ * - Filter records on any fixed column, e.g. `?filter[i1][gte]=10&filter[c2][in]=a,b`
+ * - Cursor pagination (`?cursor=`) with opaque `next_cursor` / `prev_cursor` tokens
+ * - Atomic batch insert / update / delete / upsert (`POST /api/:tableName/batch`)
+ * - Upsert by `c1` on c1Unique tables (`PUT /api/:tableName/records/by-c1/:c1` or `POST ...?upsert=c1`)
+ * - Table/index names and column keys are validated before any SQL is built (400 invalid, 404 not found)
+ * - System tables (`__DA_*`) are hidden from listing and protected from drop and generic writes;
+ *   record ids 1-100 are reserved and new tables start at id 101
+ * - Schema versioning: idempotent `/api/initsystem`, `GET /api/system/status`, `POST /api/system/migrate`
+ * - Secondary index management: list, create (composite / unique / partial) and drop indexes
+ * - Scoped API keys with per-table and per-operation permissions (`/api/keys`)
+ * - Signed JWT authentication (HS256 with a shared secret, RS256/ES256 against a JWKS)
+ * - Per-table settings (`/api/:tableName/settings`), e.g. row-level ownership: with `owner_column` set,
+ *   API keys and JWTs only see and write rows stamped with their own identity
+ * - Optional soft delete per table (`soft_delete` setting): trash listing, restore, and purge by age
+ * - Optional audit log per table (`audit` setting): who changed what, with before/after values
+ *   (`GET /api/:tableName/records/:id/history`, `GET /api/audit`)
+ * - Optimistic concurrency: GET by id returns an `ETag`; `If-None-Match` (304) on GET,
+ *   `If-Match` (412) on PUT, PATCH and DELETE
+ * - PATCH with atomic field operators: `$inc`, `$mul`, `$setIfNull`, `$jsonSet`
+ * - Optional typed schema per table (`schema` setting): friendly field names for the fixed columns,
+ *   with per-field validation (required, max_length, enum, min/max, json)
+ * - Optional full-text search (`search_columns` setting) over an FTS5 index kept in sync by triggers
+ *   (`GET /api/:tableName/search?q=`)
+ * - Webhooks on insert/update/delete with HMAC-signed payloads, retries and a delivery log (`/api/webhooks`)
+ * - Per-key rate limits (separate read and write buckets) and daily row-read quotas, answered with
+ *   429 and `Retry-After` / `X-RateLimit-*` headers; usage per key at `/api/rate-limits`
+ * - Optional edge caching of records, count and max_id per table (`cache_ttl` setting), invalidated by
+ *   a generation counter that every write bumps
  * - Drop (delete) entire tables
  * - Count records with optional `min_id` and `max_id` filters
  * - Retrieve the maximum `id` value from a table
+ * - Aggregates (`count`, `sum`, `avg`, `min`, `max`) with `group_by`, including day/week/month buckets of v1-v3
+ * - Streamed export of a whole table as NDJSON, CSV or JSON (`GET /api/:tableName/export`)
+ * - Bulk import of CSV or NDJSON in insert, upsert (by c1) or replace mode, with dry-run (`POST /api/:tableName/import`)
+ * - Self-description: `GET /api` lists every route and `GET /api/openapi.json` serves an OpenAPI 3.1 document,
+ *   both generated from the `ROUTES` table
+ * - Declarative routing from the same table: 404 for unknown paths, 405 with an `Allow` header for
+ *   unsupported methods, OPTIONS preflight and CORS for the origins in `CORS_ORIGINS`
+ * - Machine-readable error codes (`TABLE_NOT_FOUND`, `UNIQUE_VIOLATION`, ...), including D1 errors
  *
  * 📦 API Response Format:
  * {
- *   "code": 0,        // 0 = success, non-zero = error
+ *   "code": 0,        // 0 = success, otherwise an error code string such as "TABLE_NOT_FOUND"
  *   "message": "",    // Descriptive message (error or success)
  *   "data": {}        // Payload for successful operations
  * }
  *
  * 🔐 Authorization:
  * - All requests must include an Authorization header: `Authorization: Bearer <TOKEN>`
- * - Two token types:
+ * - Token types:
  *     WRITE_TOKEN       → Required for all write and admin operations (create, update, delete, etc.)
  *     READ_ONLY_TOKEN   → Allows read-only access to GET endpoints
+ *     dk_<id>_<secret>  → Scoped API key created via `POST /api/keys`, limited to the granted
+ *                         tables (names, `prefix_*` or `*`) and operations (read, insert, update, delete, ddl)
+ *     <JWT>             → HS256/RS256/ES256 token; `scope` and `tables` claims map to operations and tables
  *
  * ⚠️ Setup Required:
  * - Define these in your environment settings (e.g., `.env`, Wrangler Dashboard, or `wrangler.toml`):
  *     WRITE_TOKEN=your-write-token
  *     READ_ONLY_TOKEN=your-read-token
+ *     BATCH_MAX_SIZE=500            (optional, max operations per batch request)
+ *     EXPORT_PAGE_SIZE=2000         (optional, rows per query of an export)
+ *     JWT_SECRET=...                (optional, enables HS256 JWTs)
+ *     JWT_JWKS={"keys":[...]}       (optional, enables RS256/ES256 JWTs)
+ *     JWT_AUDIENCE=... / JWT_ISSUER=...  (optional, required `aud` / `iss` claims)
+ *     WEBHOOK_RETRY_DELAYS_MS=2000,8000  (optional, waits between webhook delivery attempts)
+ *     CORS_ORIGINS=https://app.example.com  (optional, comma-separated origins or `*` allowed to call the API from a browser)
  *
  * - Bind your D1 database to the `DB` binding in `wrangler.toml`:
  *     [[d1_databases]]
@@ -41,22 +87,220 @@
  *     database_name = "your_database_name"
  *     database_id = "your_database_id"
  *
+ * - For webhooks, add a cron trigger so queued deliveries and retries are sent:
+ *     [triggers]
+ *     crons = ["* * * * *"]
+ *
  */
 
 
-const DB_VERSION = 1;
+// Target schema version. Bump it together with a new entry in MIGRATIONS.
+const DB_VERSION = 5;
+// Version written by a fresh /api/initsystem before pending migrations are applied
+const DB_BASE_VERSION = 1;
 const DB_DA_SYSTEM_TABLENAME = "__DA_SYSTEM_CONFIG";
 
+// Tables starting with this prefix belong to the system and are protected from the generic routes
+const SYSTEM_TABLE_PREFIX = "__DA_";
+// Ids 1..RESERVED_MAX_ID are reserved for system rows; user data starts at RESERVED_MAX_ID + 1
+const RESERVED_MAX_ID = 100;
+
+// Operators accepted by the `filter[column][op]=value` query syntax
+const FILTER_OPERATORS = ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'in', 'between', 'like', 'prefix', 'isnull'];
+const FILTER_MAX_IN_VALUES = 50;
+// D1 binds at most 100 parameters per query; the rest of a records query (row scope, pagination) needs a few
+const FILTER_MAX_PARAMS = 80;
+
+// Scoped API keys: grantable operations, storage table and token prefix
+const KEY_OPERATIONS = ['read', 'insert', 'update', 'delete', 'ddl'];
+const DB_DA_API_KEYS_TABLENAME = "__DA_API_KEYS";
+const API_KEY_PREFIX = 'dk_';
+// Table grants in API keys and JWT `tables` claims: a name, a `prefix_*`, or `*`
+const TABLE_PATTERN = /^(\*|[A-Za-z_][A-Za-z0-9_]{0,63}\*?)$/;
+// Allowed clock difference when checking JWT `exp` / `nbf`
+const JWT_CLOCK_SKEW_SECONDS = 30;
+
+// Table and index names must match this pattern before they are used in SQL
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const RESERVED_IDENTIFIER_PREFIXES = ['sqlite_', '_cf_'];
+
+// Maximum number of columns in a composite index
+const INDEX_MAX_COLUMNS = 5;
+
+// Batch endpoint: allowed operations and default max size (override with env.BATCH_MAX_SIZE)
+const BATCH_OPERATIONS = ['insert', 'update', 'delete', 'upsert'];
+const BATCH_DEFAULT_MAX_SIZE = 500;
+// D1 binds at most 100 parameters per query, so lookups by a list of values run in chunks of this size
+const LOOKUP_CHUNK_SIZE = 90;
+
+// Page size used by cursor pagination (`?cursor=`)
+const CURSOR_DEFAULT_LIMIT = 100;
+const CURSOR_MAX_LIMIT = 1000;
+
+// Aggregate endpoint: functions, the columns they apply to, and date buckets for v1-v3
+const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max'];
+const AGGREGATE_NUMERIC_COLUMNS = ['i1', 'i2', 'i3', 'd1', 'd2', 'd3'];
+const AGGREGATE_DATE_COLUMNS = ['v1', 'v2', 'v3'];
+const AGGREGATE_DATE_BUCKETS = {
+  day: column => `date(${column})`,
+  // Weeks start on Monday and are labelled with that day's date
+  week: column => `date(${column}, 'weekday 0', '-6 days')`,
+  month: column => `strftime('%Y-%m', ${column})`,
+};
+const AGGREGATE_MAX_GROUP_BY = 3;
+const AGGREGATE_DEFAULT_LIMIT = 1000;
+const AGGREGATE_MAX_LIMIT = 10000;
+
+// Export endpoint: formats (content type, file extension), default columns and internal page size
+const EXPORT_FORMATS = {
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+};
+const EXPORT_COLUMNS = ['id', 'c1', 'c2', 'c3', 'i1', 'i2', 'i3', 'd1', 'd2', 'd3', 't1', 't2', 't3', 'v1', 'v2', 'v3'];
+// Rows per query of an export (override with env.EXPORT_PAGE_SIZE). Every page is one D1 query, and a
+// Worker invocation may run at most 1000 of them (50 on the free plan), which bounds the exportable rows.
+const EXPORT_DEFAULT_PAGE_SIZE = 2000;
+const EXPORT_MAX_PAGE_SIZE = 10000;
+
+// Import endpoint: modes, rows per db.batch() call, and limits on body size and reported errors
+const IMPORT_MODES = ['insert', 'upsert', 'replace'];
+const IMPORT_CHUNK_SIZE = 100;
+const IMPORT_MAX_ROWS = 10000;
+const IMPORT_MAX_ERRORS = 100;
+
+// Per-table settings live in the system table, one row per table keyed by c1 = prefix + table name
+const TABLE_SETTINGS_KEY_PREFIX = '___table_settings:';
+// Columns that can hold the owner identity when a table is in ownership mode
+const OWNER_COLUMNS = ['c1', 'c2', 'c3'];
+// Column added to a table when soft delete is enabled; trashed rows have it set
+const SOFT_DELETE_COLUMN = 'deleted_at';
+
+// Audit log: storage table and page size of `GET /api/audit`
+const DB_DA_AUDIT_TABLENAME = "__DA_AUDIT_LOG";
+const AUDIT_DEFAULT_LIMIT = 100;
+const AUDIT_MAX_LIMIT = 1000;
+
+// Webhooks: subscriptions are rows of the system table under this key prefix; every delivery is logged
+const WEBHOOK_KEY_PREFIX = '___webhook:';
+const DB_DA_WEBHOOK_DELIVERIES_TABLENAME = "__DA_WEBHOOK_DELIVERIES";
+const WEBHOOK_EVENTS = ['insert', 'update', 'delete'];
+// Waits before the 2nd, 3rd, ... attempt (override with env.WEBHOOK_RETRY_DELAYS_MS, e.g. "1000,5000").
+// Configured waits are capped in length and number, since a Worker only runs for a while after the response.
+const WEBHOOK_RETRY_DELAYS_MS = [2000, 8000];
+const WEBHOOK_MAX_RETRY_DELAY_MS = 10000;
+const WEBHOOK_MAX_RETRIES = 5;
+const WEBHOOK_TIMEOUT_MS = 5000;
+// A request delivers this many events itself, retrying within the window; the scheduled re-drive does the rest
+const WEBHOOK_INLINE_DELIVERIES = 5;
+const WEBHOOK_INLINE_RETRY_WINDOW_MS = 15000;
+// How long the re-drive leaves a claimed delivery alone, in case the Worker handling it is stopped
+const WEBHOOK_LEASE_SECONDS = 120;
+// Pending deliveries attempted per scheduled run, and delivery log rows written per batch
+const WEBHOOK_REDRIVE_BATCH_SIZE = 20;
+const WEBHOOK_LOG_CHUNK_SIZE = 100;
+const WEBHOOK_DELIVERIES_DEFAULT_LIMIT = 100;
+const WEBHOOK_DELIVERIES_MAX_LIMIT = 1000;
+
+// Rate limits: per-key limits live in the system table, counters in __DA_RATE_LIMITS.
+// `*` holds the default limits of every key without its own entry.
+const RATE_LIMIT_KEY_PREFIX = '___rate_limit:';
+const DB_DA_RATE_LIMITS_TABLENAME = "__DA_RATE_LIMITS";
+const RATE_LIMIT_DEFAULT_KEY = '*';
+const RATE_LIMIT_BUCKETS = ['read', 'write'];
+const RATE_LIMIT_DEFAULT_WINDOW = 60;
+const RATE_LIMIT_MAX_WINDOW = 86400;
+// Row-read quotas count per UTC day
+const RATE_LIMIT_DAY_SECONDS = 86400;
+
+// Full-text search: columns that can be indexed, and the page size of `GET /api/:tableName/search`
+const SEARCH_COLUMNS = ['c1', 'c2', 'c3', 't1', 't2', 't3'];
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 100;
+
+// Edge cache: the maximum `cache_ttl` in seconds (the cacheable routes are flagged with `cache` in ROUTES)
+const CACHE_MAX_TTL = 86400;
+
+// CORS: request headers a preflight may allow, response headers browsers may read, and the preflight cache time
+const CORS_ALLOWED_HEADERS = ['Authorization', 'Content-Type', 'If-Match', 'If-None-Match', 'Cache-Control'];
+const CORS_EXPOSED_HEADERS = [
+  'ETag', 'X-Cache', 'Allow', 'Retry-After', 'Content-Disposition',
+  'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset',
+  'X-RateLimit-Rows-Limit', 'X-RateLimit-Rows-Remaining', 'X-RateLimit-Rows-Reset',
+];
+const CORS_MAX_AGE = 86400;
+
+// Error codes: every `code` an error response can carry. Routes pass the specific ones; other errors
+// get the code of their HTTP status, and 500s caused by a D1 error the code of that error.
+const ERROR_CODES = [
+  'BAD_REQUEST', 'VALIDATION_FAILED', 'INVALID_TABLE_NAME', 'INVALID_COLUMN', 'CONSTRAINT_VIOLATION', 'NOT_INITIALIZED',
+  'UNAUTHORIZED',
+  'FORBIDDEN',
+  'NOT_FOUND', 'ROUTE_NOT_FOUND', 'TABLE_NOT_FOUND', 'RECORD_NOT_FOUND', 'INDEX_NOT_FOUND',
+  'METHOD_NOT_ALLOWED',
+  'CONFLICT', 'UNIQUE_VIOLATION',
+  'PRECONDITION_FAILED',
+  'RATE_LIMITED',
+  'INTERNAL_ERROR',
+  'DATABASE_BUSY',
+];
+const ERROR_STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  409: 'CONFLICT',
+  412: 'PRECONDITION_FAILED',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  503: 'DATABASE_BUSY',
+};
+// D1 (SQLite) error messages, with the code, status and message they are answered with
+const D1_ERROR_CODES = [
+  { pattern: /UNIQUE constraint failed/, code: 'UNIQUE_VIOLATION', status: 409, message: 'A record with the same unique value already exists.' },
+  { pattern: /no such table/, code: 'TABLE_NOT_FOUND', status: 404, message: 'Table not found.' },
+  { pattern: /no such column|has no column named/, code: 'INVALID_COLUMN', status: 400, message: 'Invalid column name.' },
+  { pattern: /(NOT NULL|CHECK|FOREIGN KEY) constraint failed/, code: 'CONSTRAINT_VIOLATION', status: 400, message: 'A table constraint was violated.' },
+  { pattern: /database is locked|SQLITE_BUSY/, code: 'DATABASE_BUSY', status: 503, message: 'The database is busy. Retry the request.' },
+];
+
+// Table schemas: field types and the column families (first letter of the column) each can map to
+const SCHEMA_FIELD_TYPES = {
+  string: ['c', 't'],
+  integer: ['i'],
+  number: ['d'],
+  json: ['t'],
+  datetime: ['v'],
+};
+// Type of a schema field that does not declare one, by column family
+const SCHEMA_DEFAULT_TYPES = { c: 'string', i: 'integer', d: 'number', t: 'string', v: 'datetime' };
+
+// Field operators of `PATCH /api/:tableName/records/:id`: the columns each applies to (null = any)
+// and the SQL expression computing the new value from the current one
+const PATCH_OPERATORS = {
+  $inc: { columns: AGGREGATE_NUMERIC_COLUMNS, sql: column => `COALESCE(${column}, 0) + ?` },
+  $mul: { columns: AGGREGATE_NUMERIC_COLUMNS, sql: column => `COALESCE(${column}, 0) * ?` },
+  $setIfNull: { columns: null, sql: column => `COALESCE(${column}, ?)` },
+  $jsonSet: { columns: ['t1', 't2', 't3'], sql: column => `json_set(COALESCE(${column}, '{}'), ?, json(?))` },
+};
+
 
 /**
  * Helper function to send a standardized JSON response.
- * @param {number} code - The status code (0 for success, non-zero for error).
+ * @param {number | string} code - 0 for success, an error code from ERROR_CODES, or 1 for a generic error whose code
+ *   is derived from the HTTP status (a 500 with a D1 error in `data.details` gets that error's code and status).
  * @param {string | null} [message=null] - An optional message, typically for errors.
  * @param {any | null} [data=null] - The actual data or results of the operation.
  * @param {number} [httpStatus=200] - The HTTP status code to send (e.g., 200 OK, 400 Bad Request).
+ * @param {object} [headers={}] - Extra response headers (e.g. `ETag`).
  * @returns {Response} A new Response object with the standardized JSON body.
  */
-function jsonResponse(code, message = null, data = null, httpStatus = 200) {
+function jsonResponse(code, message = null, data = null, httpStatus = 200, headers = {}) {
+  if (code === 1) {
+    const d1Error = httpStatus === 500 ? findD1Error(data && data.details) : null;
+    [code, httpStatus] = d1Error ? [d1Error.code, d1Error.status] : [ERROR_STATUS_CODES[httpStatus] || 'INTERNAL_ERROR', httpStatus];
+  }
   const responseBody = {
     code: code,
   };
@@ -69,23 +313,41 @@ function jsonResponse(code, message = null, data = null, httpStatus = 200) {
   }
 
   return new Response(JSON.stringify(responseBody), {
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...headers },
     status: httpStatus,
   });
 }
 
+/**
+ * Finds the D1 error an error message stands for.
+ * @param {any} message - The error message (e.g. `data.details` of an error response).
+ * @returns {object | null} The matching D1_ERROR_CODES entry, or null.
+ */
+function findD1Error(message) {
+  return typeof message === 'string' ? D1_ERROR_CODES.find(({ pattern }) => pattern.test(message)) || null : null;
+}
+
 /**
  * Authenticates the request based on the Authorization header.
+ *
+ * Accepts the two bootstrap tokens from env (`WRITE_TOKEN` is the admin key, `READ_ONLY_TOKEN`
+ * reads every user table), signed JWTs (when `JWT_SECRET` or `JWT_JWKS` is configured),
+ * and scoped API keys (`dk_...`) stored in `__DA_API_KEYS`.
+ *
  * @param {Request} request - The incoming HTTP request.
  * @param {Env} env - The environment variables (containing the tokens).
- * @returns {{isAuthenticated: boolean, canWrite: boolean, canRead: boolean, message: string}}
- * An object indicating authentication status and permissions.
+ * @returns {Promise<{isAuthenticated: boolean, canWrite: boolean, canRead: boolean, isAdmin: boolean,
+ *   keyId: string | null, identity: string | null, tables: string[], operations: string[], message: string}>}
+ * An object indicating authentication status and permissions. Use `authorize` for per-route checks.
+ * `identity` (`key:<id>` for API keys, `jwt:<sub>` for JWTs) is what row ownership binds to; the namespaces
+ * keep a JWT whose `sub` equals an API key id from owning that key's rows. The env tokens have none.
  */
-function authenticateRequest(request, env) {
+async function authenticateRequest(request, env) {
   const authHeader = request.headers.get('Authorization');
+  const unauthenticated = message => ({ isAuthenticated: false, canWrite: false, canRead: false, isAdmin: false, keyId: null, identity: null, tables: [], operations: [], message });
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return { isAuthenticated: false, canWrite: false, canRead: false, message: 'Authentication required: Missing or malformed Authorization header.' };
+    return unauthenticated('Authentication required: Missing or malformed Authorization header.');
   }
 
   const token = authHeader.substring(7);
@@ -94,11 +356,267 @@ function authenticateRequest(request, env) {
   const READ_ONLY_TOKEN = env.READ_ONLY_TOKEN;
 
   if (token === WRITE_TOKEN) {
-    return { isAuthenticated: true, canWrite: true, canRead: true, message: 'Authenticated with write access.' };
+    return { isAuthenticated: true, canWrite: true, canRead: true, isAdmin: true, keyId: 'env:WRITE_TOKEN', identity: null, tables: ['*'], operations: KEY_OPERATIONS, message: 'Authenticated with write access.' };
   } else if (token === READ_ONLY_TOKEN) {
-    return { isAuthenticated: true, canWrite: false, canRead: true, message: 'Authenticated with read-only access.' };
+    return { isAuthenticated: true, canWrite: false, canRead: true, isAdmin: false, keyId: 'env:READ_ONLY_TOKEN', identity: null, tables: ['*'], operations: ['read'], message: 'Authenticated with read-only access.' };
+  } else if (token.split('.').length === 3 && (env.JWT_SECRET || env.JWT_JWKS)) {
+    const jwt = await verifyJwt(token, env);
+    if (!jwt.valid) {
+      return unauthenticated(jwt.message);
+    }
+    return {
+      isAuthenticated: true,
+      canWrite: jwt.operations.some(op => op !== 'read'),
+      canRead: jwt.operations.includes('read'),
+      isAdmin: false,
+      keyId: `jwt:${jwt.subject}`,
+      identity: `jwt:${jwt.subject}`,
+      tables: jwt.tables,
+      operations: jwt.operations,
+      message: 'Authenticated with JWT.',
+    };
+  } else if (token.startsWith(API_KEY_PREFIX)) {
+    const key = await verifyApiKey(env.DB, token);
+    if (!key.valid) {
+      return unauthenticated(key.message);
+    }
+    return {
+      isAuthenticated: true,
+      canWrite: key.operations.some(op => op !== 'read'),
+      canRead: key.operations.includes('read'),
+      isAdmin: false,
+      keyId: key.keyId,
+      identity: `key:${key.keyId}`,
+      tables: key.tables,
+      operations: key.operations,
+      message: 'Authenticated with scoped API key.',
+    };
   } else {
-    return { isAuthenticated: false, canWrite: false, canRead: false, message: 'Invalid authentication token.' };
+    return unauthenticated('Invalid authentication token.');
+  }
+}
+
+/**
+ * Checks whether an authenticated caller may perform an operation, optionally on a specific table.
+ *
+ * `admin` covers system endpoints (init, migrate, key management, system tables) and is only
+ * granted to `WRITE_TOKEN`. Scoped keys never reach system tables.
+ *
+ * @param {object} auth - The result of `authenticateRequest`.
+ * @param {'read' | 'insert' | 'update' | 'delete' | 'ddl' | 'admin'} operation - The operation.
+ * @param {string | null} [tableName=null] - The table, or null for operations not tied to one table.
+ * @returns {boolean}
+ */
+function authorize(auth, operation, tableName = null) {
+  if (auth.isAdmin) {
+    return true;
+  }
+  if (operation === 'admin' || !auth.operations.includes(operation)) {
+    return false;
+  }
+  return tableName === null || canAccessTable(auth, tableName);
+}
+
+/**
+ * Checks whether a caller's table patterns cover a table.
+ * Patterns are exact names, prefixes ending in `*` (e.g. `app_*`), or `*` for every user table.
+ * @param {object} auth - The result of `authenticateRequest`.
+ * @param {string} tableName - The table name.
+ * @returns {boolean}
+ */
+function canAccessTable(auth, tableName) {
+  if (auth.isAdmin) {
+    return true;
+  }
+  if (isSystemTable(tableName)) {
+    return false;
+  }
+  const name = tableName.toLowerCase();
+  return auth.tables.some(pattern => {
+    const p = pattern.toLowerCase();
+    return p.endsWith('*') ? name.startsWith(p.slice(0, -1)) : name === p;
+  });
+}
+
+/**
+ * Returns a hex SHA-256 digest of a string.
+ * @param {string} value - The value to hash.
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compares two strings in time independent of where they first differ.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Decodes a base64url string into bytes.
+ * @param {string} value - The base64url string.
+ * @returns {Uint8Array}
+ */
+function base64UrlToBytes(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+/**
+ * Resolves the WebCrypto verification key for a JWT header.
+ * HS256 uses `JWT_SECRET`; RS256 and ES256 use the key from `JWT_JWKS` matching `kid`
+ * (or the only key of the right type when the token has no `kid`).
+ *
+ * @param {{alg: string, kid?: string}} header - The decoded JWT header.
+ * @param {Env} env - The environment variables.
+ * @returns {Promise<{key: CryptoKey, algorithm: object}>}
+ */
+async function getJwtVerificationKey(header, env) {
+  const algorithms = {
+    HS256: { import: { name: 'HMAC', hash: 'SHA-256' }, verify: { name: 'HMAC' }, kty: 'oct' },
+    RS256: { import: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, verify: { name: 'RSASSA-PKCS1-v1_5' }, kty: 'RSA' },
+    ES256: { import: { name: 'ECDSA', namedCurve: 'P-256' }, verify: { name: 'ECDSA', hash: 'SHA-256' }, kty: 'EC' },
+  };
+  const algorithm = algorithms[header.alg];
+  if (!algorithm) {
+    throw new Error(`Unsupported JWT algorithm '${header.alg}'.`);
+  }
+
+  if (header.alg === 'HS256') {
+    if (!env.JWT_SECRET) {
+      throw new Error('HS256 JWTs are not accepted: JWT_SECRET is not configured.');
+    }
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(env.JWT_SECRET), algorithm.import, false, ['verify']);
+    return { key, algorithm: algorithm.verify };
+  }
+
+  if (!env.JWT_JWKS) {
+    throw new Error(`${header.alg} JWTs are not accepted: JWT_JWKS is not configured.`);
+  }
+  const jwks = typeof env.JWT_JWKS === 'string' ? JSON.parse(env.JWT_JWKS) : env.JWT_JWKS;
+  const candidates = (jwks.keys || []).filter(jwk => jwk.kty === algorithm.kty && (!jwk.alg || jwk.alg === header.alg));
+  const jwk = header.kid
+    ? candidates.find(k => k.kid === header.kid)
+    : (candidates.length === 1 ? candidates[0] : undefined);
+  if (!jwk) {
+    throw new Error(header.kid ? `No JWKS key matches kid '${header.kid}'.` : 'JWT has no kid and the JWKS key is ambiguous.');
+  }
+  const key = await crypto.subtle.importKey('jwk', jwk, algorithm.import, false, ['verify']);
+  return { key, algorithm: algorithm.verify };
+}
+
+/**
+ * Verifies a JWT and maps its claims to permissions.
+ *
+ * - `exp` is required; `nbf` is honored; both allow JWT_CLOCK_SKEW_SECONDS of skew.
+ * - `aud` / `iss` must match `JWT_AUDIENCE` / `JWT_ISSUER` when those are configured.
+ * - `scope` (space-separated) grants operations: read, insert, update, delete, ddl; `write` = insert update delete.
+ * - `tables` (array) grants table patterns like API keys do; without it the token reaches no table.
+ *
+ * @param {string} token - The compact JWT.
+ * @param {Env} env - The environment variables.
+ * @returns {Promise<{valid: boolean, message?: string, subject?: string, tables?: string[], operations?: string[], claims?: object}>}
+ */
+async function verifyJwt(token, env) {
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(new TextDecoder().decode(base64UrlToBytes(encodedHeader)));
+    payload = JSON.parse(new TextDecoder().decode(base64UrlToBytes(encodedPayload)));
+  } catch (error) {
+    return { valid: false, message: 'Malformed JWT.' };
+  }
+
+  try {
+    const { key, algorithm } = await getJwtVerificationKey(header, env);
+    const signed = new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`);
+    if (!(await crypto.subtle.verify(algorithm, key, base64UrlToBytes(encodedSignature), signed))) {
+      return { valid: false, message: 'JWT signature is invalid.' };
+    }
+  } catch (error) {
+    return { valid: false, message: `JWT rejected: ${error.message}` };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number') {
+    return { valid: false, message: 'JWT must include an exp claim.' };
+  }
+  if (payload.exp + JWT_CLOCK_SKEW_SECONDS <= now) {
+    return { valid: false, message: 'JWT has expired.' };
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - JWT_CLOCK_SKEW_SECONDS > now) {
+    return { valid: false, message: 'JWT is not yet valid (nbf).' };
+  }
+  if (env.JWT_AUDIENCE) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(env.JWT_AUDIENCE)) {
+      return { valid: false, message: 'JWT audience mismatch.' };
+    }
+  }
+  if (env.JWT_ISSUER && payload.iss !== env.JWT_ISSUER) {
+    return { valid: false, message: 'JWT issuer mismatch.' };
+  }
+  // The subject identifies the caller, so tokens without one would all share a made-up identity
+  if (typeof payload.sub !== 'string' || payload.sub === '') {
+    return { valid: false, message: 'JWT must include a sub claim.' };
+  }
+
+  const scopes = typeof payload.scope === 'string' ? payload.scope.split(/\s+/).filter(Boolean) : [];
+  const operations = [...new Set(scopes.flatMap(scope => (scope === 'write' ? ['insert', 'update', 'delete'] : [scope])))]
+    .filter(op => KEY_OPERATIONS.includes(op));
+  const tables = Array.isArray(payload.tables) ? payload.tables : [];
+  if (tables.some(pattern => typeof pattern !== 'string' || !TABLE_PATTERN.test(pattern) || (pattern !== '*' && isSystemTable(pattern.replace(/\*$/, ''))))) {
+    return { valid: false, message: 'JWT tables claim contains an invalid table pattern.' };
+  }
+
+  return { valid: true, subject: payload.sub, tables, operations, claims: payload };
+}
+
+/**
+ * Verifies a scoped API key token (`dk_<keyId>_<secret>`) against `__DA_API_KEYS`.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} token - The bearer token.
+ * @returns {Promise<{valid: boolean, message?: string, keyId?: string, tables?: string[], operations?: string[]}>}
+ */
+async function verifyApiKey(db, token) {
+  const match = token.match(/^dk_([0-9a-f]{16})_([A-Za-z0-9_-]{20,})$/);
+  if (!match) {
+    return { valid: false, message: 'Invalid authentication token.' };
+  }
+  const [, keyId, secret] = match;
+
+  try {
+    if (!(await tableExists(db, DB_DA_API_KEYS_TABLENAME))) {
+      return { valid: false, message: 'Invalid authentication token.' };
+    }
+    const row = await db.prepare(`SELECT key_id, key_hash, tables, operations, expires_at, revoked_at FROM ${DB_DA_API_KEYS_TABLENAME} WHERE key_id = ?;`).bind(keyId).first();
+    if (!row || !timingSafeEqual(await sha256Hex(secret), row.key_hash)) {
+      return { valid: false, message: 'Invalid authentication token.' };
+    }
+    if (row.revoked_at) {
+      return { valid: false, message: 'API key has been revoked.' };
+    }
+    if (row.expires_at && Date.parse(`${row.expires_at.replace(' ', 'T')}Z`) <= Date.now()) {
+      return { valid: false, message: 'API key has expired.' };
+    }
+    return { valid: true, keyId: row.key_id, tables: JSON.parse(row.tables), operations: JSON.parse(row.operations) };
+  } catch (error) {
+    console.error(`Error verifying API key ${keyId}:`, error);
+    return { valid: false, message: 'Unable to verify API key.' };
   }
 }
 
@@ -141,12 +659,19 @@ async function createTable(db, tableName, c1Unique = false) {
       ? `CREATE INDEX IF NOT EXISTS idx_${tableName}_c1 ON ${tableName}(c1);`
       : null;
 
-    // ℹ️ User data should start from ID 101 and up
+    // ℹ️ User data should start from ID 101 and up: seed the AUTOINCREMENT sequence
+    // (only if the table has no sequence yet, so re-creating an existing table keeps its ids)
+    const sequenceSeed = `
+      INSERT INTO sqlite_sequence (name, seq)
+      SELECT ?, ? WHERE NOT EXISTS (SELECT 1 FROM sqlite_sequence WHERE name = ?);
+    `;
+
     const queries = [{ sql: tableSchema }];
 
     if (indexSchema) {
       queries.push({ sql: indexSchema });
     }
+    queries.push({ sql: sequenceSeed, params: [tableName, RESERVED_MAX_ID, tableName] });
 
     const results = [];
 
@@ -169,19 +694,20 @@ async function daSystemTableInit(db) {
     const newUuid = crypto.randomUUID();
 
     // Insert reserved record for tracking DB version (id = 1)
+    // OR IGNORE keeps init idempotent: an existing version row is never reset
     const versionInsertQuery = `
-      INSERT INTO ${tableName} (id, c1, c2, i1, d1)
+      INSERT OR IGNORE INTO ${tableName} (id, c1, c2, i1, d1)
       VALUES (1, '___basic_db_version', ?, ?, ?);
     `;
 
     // Insert reserved record for system use (id = 100)
     const systemReserveInsertQuery = `
-      INSERT INTO ${tableName} (id, c1) VALUES (100, '___systemReserve');
+      INSERT OR IGNORE INTO ${tableName} (id, c1) VALUES (100, '___systemReserve');
     `;
 
     let queries = [];
     queries.push(
-      { sql: versionInsertQuery, params: [newUuid, DB_VERSION, DB_VERSION] },
+      { sql: versionInsertQuery, params: [newUuid, DB_BASE_VERSION, DB_BASE_VERSION] },
       { sql: systemReserveInsertQuery }
     );
 
@@ -200,6 +726,162 @@ async function daSystemTableInit(db) {
   }
 }
 
+/**
+ * Ordered schema migrations, applied by `runMigrations` on top of DB_BASE_VERSION.
+ *
+ * Each step: { version, description, up }, where `up(db)` resolves to the prepared statements
+ * that move the schema to `version`. Versions must be strictly increasing, and the last one
+ * must equal DB_VERSION. Statements should be idempotent (IF NOT EXISTS, etc.) where possible.
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Create __DA_API_KEYS for scoped API keys',
+    up: async db => [
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS __DA_API_KEYS (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          key_id TEXT NOT NULL UNIQUE,
+          key_hash TEXT NOT NULL,
+          name TEXT,
+          tables TEXT NOT NULL,
+          operations TEXT NOT NULL,
+          expires_at TIMESTAMP,
+          revoked_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `),
+    ],
+  },
+  {
+    version: 3,
+    description: 'Create __DA_AUDIT_LOG for record change history',
+    up: async db => [
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS __DA_AUDIT_LOG (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          table_name TEXT NOT NULL,
+          record_id INTEGER NOT NULL,
+          operation TEXT NOT NULL,
+          actor TEXT,
+          request_id TEXT NOT NULL,
+          seq INTEGER NOT NULL,
+          before_data TEXT,
+          after_data TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `),
+      db.prepare(`CREATE INDEX IF NOT EXISTS idx___DA_AUDIT_LOG_record ON __DA_AUDIT_LOG(table_name, record_id);`),
+      db.prepare(`CREATE INDEX IF NOT EXISTS idx___DA_AUDIT_LOG_request ON __DA_AUDIT_LOG(request_id, seq);`),
+      db.prepare(`CREATE INDEX IF NOT EXISTS idx___DA_AUDIT_LOG_created_at ON __DA_AUDIT_LOG(created_at);`),
+    ],
+  },
+  {
+    version: 4,
+    description: 'Create __DA_WEBHOOK_DELIVERIES for the webhook delivery log',
+    up: async db => [
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS __DA_WEBHOOK_DELIVERIES (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          webhook_id TEXT NOT NULL,
+          event_id TEXT NOT NULL,
+          table_name TEXT NOT NULL,
+          record_id INTEGER,
+          operation TEXT NOT NULL,
+          status TEXT NOT NULL,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          response_status INTEGER,
+          error TEXT,
+          payload TEXT NOT NULL,
+          next_attempt_at INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `),
+      db.prepare(`CREATE INDEX IF NOT EXISTS idx___DA_WEBHOOK_DELIVERIES_webhook ON __DA_WEBHOOK_DELIVERIES(webhook_id, id);`),
+      db.prepare(`CREATE INDEX IF NOT EXISTS idx___DA_WEBHOOK_DELIVERIES_due ON __DA_WEBHOOK_DELIVERIES(status, next_attempt_at);`),
+    ],
+  },
+  {
+    version: 5,
+    description: 'Create __DA_RATE_LIMITS for per-key rate limit counters',
+    up: async db => [
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS __DA_RATE_LIMITS (
+          key_id TEXT NOT NULL,
+          bucket TEXT NOT NULL,
+          window_start INTEGER NOT NULL,
+          used INTEGER NOT NULL DEFAULT 0,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (key_id, bucket)
+        );
+      `),
+    ],
+  },
+];
+
+/**
+ * Reads the stored schema version from the `___basic_db_version` row (id = 1).
+ * @param {D1Database} db - The D1 database instance.
+ * @returns {Promise<number | null>} The stored version, or null if the system is not initialized.
+ */
+async function getSchemaVersion(db) {
+  if (!(await tableExists(db, DB_DA_SYSTEM_TABLENAME))) {
+    return null;
+  }
+  const version = await db.prepare(`SELECT i1 FROM ${DB_DA_SYSTEM_TABLENAME} WHERE id = 1;`).first('i1');
+  return version === null || version === undefined ? null : version;
+}
+
+/**
+ * Returns the migration steps that still need to run to reach DB_VERSION.
+ * @param {number} currentVersion - The stored schema version.
+ * @returns {Array<object>} The pending steps, in order.
+ */
+function getPendingMigrations(currentVersion) {
+  return MIGRATIONS.filter(m => m.version > currentVersion && m.version <= DB_VERSION);
+}
+
+/**
+ * Applies all pending migrations and bumps the stored version in a single `db.batch()`,
+ * so a failing step leaves both the schema and the version untouched.
+ *
+ * @param {D1Database} db - The D1 database instance.
+ * @returns {Promise<{from: number, to: number, applied: Array<{version: number, description: string}>}>}
+ */
+async function runMigrations(db) {
+  try {
+    const currentVersion = await getSchemaVersion(db);
+    if (currentVersion === null) {
+      throw new Error('System is not initialized.');
+    }
+
+    const pending = getPendingMigrations(currentVersion);
+    if (pending.length === 0) {
+      return { from: currentVersion, to: currentVersion, applied: [] };
+    }
+
+    const statements = [];
+    for (const migration of pending) {
+      statements.push(...await migration.up(db));
+    }
+    const targetVersion = pending[pending.length - 1].version;
+    statements.push(
+      db.prepare(`UPDATE ${DB_DA_SYSTEM_TABLENAME} SET i1 = ?, d1 = ?, v2 = CURRENT_TIMESTAMP WHERE id = 1;`).bind(targetVersion, targetVersion)
+    );
+
+    await db.batch(statements);
+
+    return {
+      from: currentVersion,
+      to: targetVersion,
+      applied: pending.map(({ version, description }) => ({ version, description })),
+    };
+  } catch (error) {
+    console.error('Error running migrations:', error);
+    throw new Error(`Failed to run migrations: ${error.message}`);
+  }
+}
 
 /**
  * Inserts a new record into the specified table.
@@ -208,24 +890,12 @@ async function daSystemTableInit(db) {
  * @param {string} tableName - The name of the table to insert into.
  * @param {object} data - An object containing the data for the new record.
  * Only include the columns you wish to set.
+ * @param {object | null} [audit=null] - Audit context (see `createAuditContext`), or null when the table is not audited.
  * @returns {Promise<D1Result>} The result of the insert operation.
  */
-async function insertRecord(db, tableName, data) {
+async function insertRecord(db, tableName, data, audit = null) {
   try {
-    const columns = Object.keys(data);
-    const placeholders = columns.map(() => '?').join(', ');
-    const values = columns.map(col => data[col]);
-
-    if (columns.length === 0) {
-      throw new Error('No data provided for insertion.');
-    }
-
-    const query = `
-      INSERT INTO ${tableName} (${columns.join(', ')})
-      VALUES (${placeholders});
-    `;
-
-    const result = await db.prepare(query).bind(...values).run();
+    const [result] = await runWithAudit(db, tableName, audit, { operation: 'insert' }, [prepareInsertStatement(db, tableName, data)]);
 
     return result;
   } catch (error) {
@@ -234,16 +904,196 @@ async function insertRecord(db, tableName, data) {
   }
 }
 
+/**
+ * Builds the prepared INSERT statement for a record without running it.
+ * An explicit `id` is accepted only above the reserved range (> RESERVED_MAX_ID).
+ *
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table to insert into.
+ * @param {object} data - An object containing the data for the new record.
+ * @returns {D1PreparedStatement} The bound statement.
+ */
+function prepareInsertStatement(db, tableName, data) {
+  const columns = Object.keys(data);
+  const placeholders = columns.map(() => '?').join(', ');
+  const values = columns.map(col => data[col]);
+
+  if (columns.length === 0) {
+    throw new Error('No data provided for insertion.');
+  }
+  const invalidColumns = findInvalidColumns(data, true);
+  if (invalidColumns.length > 0) {
+    throw new Error(`Invalid column name(s): ${invalidColumns.join(', ')}`);
+  }
+  if (data.id !== undefined && !checkUserIdValid(data.id)) {
+    throw new Error(`Explicit id must be an integer greater than ${RESERVED_MAX_ID}; ids 1-${RESERVED_MAX_ID} are reserved.`);
+  }
+
+  const query = `
+    INSERT INTO ${tableName} (${columns.join(', ')})
+    VALUES (${placeholders});
+  `;
+
+  return db.prepare(query).bind(...values);
+}
+
+/**
+ * Builds the prepared UPDATE statement for a record without running it.
+ * Bumps `v2` as last modified timestamp unless `v2` is explicitly provided.
+ *
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table to update.
+ * @param {number} id - The ID of the record to update.
+ * @param {object} updates - An object containing key-value pairs for fields to update.
+ * @param {{sql: string, params: Array<any>} | null} [scope=null] - Optional row scope (see `getRowScope`).
+ * @returns {D1PreparedStatement} The bound statement.
+ */
+function prepareUpdateStatement(db, tableName, id, updates, scope = null) {
+  const setClauses = [];
+  const bindValues = [];
+
+  for (const key in updates) {
+    if (Object.prototype.hasOwnProperty.call(updates, key)) {
+      if (!checkColumnValid(key)) {
+        throw new Error(`Invalid column name: ${key}`);
+      }
+      setClauses.push(`${key} = ?`);
+      bindValues.push(updates[key]);
+    }
+  }
+
+  if (setClauses.length === 0) {
+    throw new Error('No fields provided for update.');
+  }
+
+  // Optional: auto-update v2 as last modified timestamp
+  if (!updates.v2) {
+    setClauses.push(`v2 = CURRENT_TIMESTAMP`);
+  }
+
+  const query = `UPDATE ${tableName} SET ${setClauses.join(', ')} WHERE id = ?${scope ? ` AND ${scope.sql}` : ''};`;
+  bindValues.push(id, ...(scope ? scope.params : []));
+
+  return db.prepare(query).bind(...bindValues);
+}
+
+/**
+ * Parses the body of a PATCH request into SET clauses.
+ *
+ * Each field is either a plain value, which is set as with PUT, or an object holding exactly one operator:
+ * - `{"i1": {"$inc": 1}}`                                    → `i1 = COALESCE(i1, 0) + 1`
+ * - `{"d2": {"$mul": 1.5}}`                                  → `d2 = COALESCE(d2, 0) * 1.5`
+ * - `{"c2": {"$setIfNull": "x"}}`                            → `c2 = COALESCE(c2, 'x')`
+ * - `{"t1": {"$jsonSet": {"path": "$.a.b", "value": 3}}}`    → `t1 = json_set(COALESCE(t1, '{}'), '$.a.b', json('3'))`
+ *
+ * @param {object} body - The parsed request body.
+ * @returns {{setClauses: Array<string>, params: Array<any>, values: object}} The clauses with their bind
+ * parameters, and the plain values (for the ownership check).
+ * @throws {Error} If a column, operator or operand is invalid.
+ */
+function parsePatchOperations(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Request body must be a JSON object.');
+  }
+  if (Object.keys(body).length === 0) {
+    throw new Error('No fields provided.');
+  }
+  const setClauses = [];
+  const params = [];
+  const values = {};
+  for (const [column, value] of Object.entries(body)) {
+    if (!checkColumnValid(column)) {
+      throw new Error(`Invalid column name: ${column}`);
+    }
+    if (value === null || typeof value !== 'object') {
+      setClauses.push(`${column} = ?`);
+      params.push(value);
+      values[column] = value;
+      continue;
+    }
+    const keys = Array.isArray(value) ? [] : Object.keys(value);
+    const [name] = keys;
+    if (keys.length !== 1 || !Object.prototype.hasOwnProperty.call(PATCH_OPERATORS, name)) {
+      throw new Error(`Invalid value for '${column}': expected a plain value or one of ${Object.keys(PATCH_OPERATORS).join(', ')}.`);
+    }
+    const operator = PATCH_OPERATORS[name];
+    if (operator.columns && !operator.columns.includes(column)) {
+      throw new Error(`${name} can only be applied to ${operator.columns.join(', ')}.`);
+    }
+    const operand = value[name];
+    if (name === '$inc' || name === '$mul') {
+      if (typeof operand !== 'number' || !Number.isFinite(operand)) {
+        throw new Error(`${name} on '${column}' requires a number.`);
+      }
+      params.push(operand);
+    } else if (name === '$jsonSet') {
+      if (!operand || typeof operand.path !== 'string' || !operand.path.startsWith('$') || !Object.hasOwn(operand, 'value')) {
+        throw new Error(`$jsonSet on '${column}' requires {"path": "$...", "value": ...}.`);
+      }
+      params.push(operand.path, JSON.stringify(operand.value));
+    } else {
+      if (operand !== null && typeof operand === 'object') {
+        throw new Error(`$setIfNull on '${column}' requires a plain value.`);
+      }
+      params.push(operand);
+    }
+    setClauses.push(`${column} = ${operator.sql(column)}`);
+  }
+  if (!Object.prototype.hasOwnProperty.call(body, 'v2')) {
+    setClauses.push('v2 = CURRENT_TIMESTAMP');
+  }
+  return { setClauses, params, values };
+}
+
+/**
+ * Builds the prepared upsert (INSERT ... ON CONFLICT DO UPDATE) statement for a record.
+ * The conflict column must carry a PRIMARY KEY or UNIQUE constraint (`id`, or `c1` on c1Unique tables).
+ * Bumps `v2` on update unless `v2` is explicitly provided. Returns the row id via RETURNING.
+ *
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table to write to.
+ * @param {object} data - The record data; must include the conflict column.
+ * @param {'id' | 'c1'} conflictColumn - The column to detect existing rows by.
+ * @param {{sql: string, params: Array<any>} | null} [scope=null] - Optional row scope. An existing row outside
+ * the scope is left untouched and no id is returned.
+ * @returns {D1PreparedStatement} The bound statement.
+ */
+function prepareUpsertStatement(db, tableName, data, conflictColumn, scope = null) {
+  const columns = Object.keys(data);
+  const values = columns.map(col => data[col]);
+
+  if (data[conflictColumn] === undefined || data[conflictColumn] === null) {
+    throw new Error(`Upsert requires a value for '${conflictColumn}'.`);
+  }
+
+  const setClauses = columns
+    .filter(col => col !== conflictColumn && col !== 'id')
+    .map(col => `${col} = excluded.${col}`);
+  if (data.v2 === undefined) {
+    setClauses.push(`v2 = CURRENT_TIMESTAMP`);
+  }
+
+  const query = `
+    INSERT INTO ${tableName} (${columns.join(', ')})
+    VALUES (${columns.map(() => '?').join(', ')})
+    ON CONFLICT(${conflictColumn}) DO UPDATE SET ${setClauses.join(', ')}${scope ? ` WHERE ${scope.sql}` : ''}
+    RETURNING id;
+  `;
+
+  return db.prepare(query).bind(...values, ...(scope ? scope.params : []));
+}
+
 /**
  * Fetches all records from the specified table.
  * @param {D1Database} db - The D1 database instance.
  * @param {string} tableName - The name of the table to fetch from.
+ * @param {{sql: string, params: Array<any>} | null} [scope=null] - Optional row scope (see `getRowScope`).
  * @returns {Promise<Array<object>>} An array of all records.
  */
-async function getAllRecords(db, tableName) {
+async function getAllRecords(db, tableName, scope = null) {
   try {
-    const query = `SELECT * FROM ${tableName};`;
-    const { results } = await db.prepare(query).all();
+    const query = `SELECT * FROM ${tableName}${scope ? ` WHERE ${scope.sql}` : ''};`;
+    const { results } = await db.prepare(query).bind(...(scope ? scope.params : [])).all();
     return results;
   } catch (error) {
     console.error(`Error fetching all records from table ${tableName}:`, error);
@@ -257,12 +1107,13 @@ async function getAllRecords(db, tableName) {
  * @param {D1Database} db - The D1 database instance.
  * @param {string} tableName - The name of the table to fetch from.
  * @param {number} id - The ID of the record to fetch.
+ * @param {{sql: string, params: Array<any>} | null} [scope=null] - Optional row scope (see `getRowScope`).
  * @returns {Promise<Array<object>>} An array containing the record object, or an empty array.
  */
-async function getRecordById(db, tableName, id) {
+async function getRecordById(db, tableName, id, scope = null) {
   try {
-    const query = `SELECT * FROM ${tableName} WHERE id = ?;`;
-    const { results } = await db.prepare(query).bind(id).all();
+    const query = `SELECT * FROM ${tableName} WHERE id = ?${scope ? ` AND ${scope.sql}` : ''};`;
+    const { results } = await db.prepare(query).bind(id, ...(scope ? scope.params : [])).all();
     return results; // Always return the results array
   } catch (error) {
     console.error(`Error fetching record by ID ${id} from table ${tableName}:`, error);
@@ -270,18 +1121,44 @@ async function getRecordById(db, tableName, id) {
   }
 }
 
+/**
+ * Fetches the records with the given IDs, LOOKUP_CHUNK_SIZE IDs per query. IDs without a record are left out.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table to fetch from.
+ * @param {Array<number>} ids - The IDs of the records to fetch.
+ * @param {{sql: string, params: Array<any>} | null} [scope=null] - Optional row scope (see `getRowScope`).
+ * @returns {Promise<Array<object>>} The records found.
+ */
+async function getRecordsByIds(db, tableName, ids, scope = null) {
+  const uniqueIds = [...new Set(ids)];
+  const records = [];
+  try {
+    for (let start = 0; start < uniqueIds.length; start += LOOKUP_CHUNK_SIZE) {
+      const chunk = uniqueIds.slice(start, start + LOOKUP_CHUNK_SIZE);
+      const query = `SELECT * FROM ${tableName} WHERE id IN (${chunk.map(() => '?').join(', ')})${scope ? ` AND ${scope.sql}` : ''};`;
+      const { results } = await db.prepare(query).bind(...chunk, ...(scope ? scope.params : [])).all();
+      records.push(...results);
+    }
+    return records;
+  } catch (error) {
+    console.error(`Error fetching records by ID from table ${tableName}:`, error);
+    throw new Error(`Failed to fetch records by ID: ${error.message}`);
+  }
+}
+
 /**
  * Fetches records by the value of column 'c1'.
  * Utilizes the index on c1 for efficient lookup.
  * @param {D1Database} db - The D1 database instance.
  * @param {string} tableName - The name of the table to fetch from.
  * @param {string} c1Value - The value of 'c1' to search for.
+ * @param {{sql: string, params: Array<any>} | null} [scope=null] - Optional row scope (see `getRowScope`).
  * @returns {Promise<Array<object>>} An array of matching records.
  */
-async function getRecordsByC1(db, tableName, c1Value) {
+async function getRecordsByC1(db, tableName, c1Value, scope = null) {
   try {
-    const query = `SELECT * FROM ${tableName} WHERE c1 = ?;`;
-    const { results } = await db.prepare(query).bind(c1Value).all();
+    const query = `SELECT * FROM ${tableName} WHERE c1 = ?${scope ? ` AND ${scope.sql}` : ''};`;
+    const { results } = await db.prepare(query).bind(c1Value, ...(scope ? scope.params : [])).all();
     return results;
   } catch (error) {
     console.error(`Error fetching records by c1 value ${c1Value} from table ${tableName}:`, error);
@@ -290,34 +1167,198 @@ async function getRecordsByC1(db, tableName, c1Value) {
 }
 
 /**
- * Fetches records from the specified table with optional filtering, ordering, and keyset pagination.
- * Optimized for Cloudflare D1 to minimize row reads.
+ * Parses `filter[...]` query parameters into a filter object.
  *
- * @param {D1Database} db - The D1 database instance.
- * @param {string} tableName - The name of the table to fetch from.
- * @param {object} [options={}] - Optional query parameters.
- * @param {number} [options.minId] - Minimum ID value (id > minId). Cannot be used with offset.
- * @param {number} [options.maxId] - Maximum ID value (id < maxId).
- * @param {number} [options.limit] - Maximum number of records to return.
- * @param {number} [options.offset] - Acts as a pagination cursor. Cannot be used with minId.
- * @param {string} [options.orderby] - Column to order by (default: 'id').
- * @param {string} [options.order] - 'asc' or 'desc' (default: 'asc').
- * @returns {Promise<Array<object>>} An array of matching records.
+ * Supported forms:
+ * - `filter[col]=value`                 → col = value
+ * - `filter[col][op]=value`             → ANDed with the other top-level conditions
+ * - `filter[or][n][col][op]=value`      → conditions sharing the same `n` are ANDed,
+ *                                         the groups are ORed together
+ *
+ * @param {URLSearchParams} searchParams - The request query parameters.
+ * @returns {{and: Array<object>, or: Array<Array<object>>} | null} The parsed filter, or null if none given.
  */
-async function getRecordsWithOptions(db, tableName, options = {}) {
-  try {
-    let query = `SELECT * FROM ${tableName}`;
-    const params = [];
-    const conditions = [];
+function parseFilterParams(searchParams) {
+  const filter = { and: [], or: [] };
+  const orGroups = new Map();
+  let found = false;
 
-    // Determine order direction
-    const order = options.order === 'desc' ? 'DESC' : 'ASC';
-    const orderBy = checkColumnValid(options.orderby) ? options.orderby : 'id';
+  for (const [key, value] of searchParams) {
+    if (!key.startsWith('filter[')) {
+      continue;
+    }
+    const match = key.match(/^filter((?:\[[^\[\]]*\])+)$/);
+    if (!match) {
+      throw new Error(`Malformed filter parameter: ${key}`);
+    }
+    const parts = match[1].slice(1, -1).split('][');
+    found = true;
+
+    if (parts[0] === 'or') {
+      if (parts.length < 3 || parts.length > 4 || !/^\d+$/.test(parts[1])) {
+        throw new Error(`Malformed OR filter parameter: ${key}`);
+      }
+      if (!orGroups.has(parts[1])) {
+        orGroups.set(parts[1], []);
+      }
+      orGroups.get(parts[1]).push(parseFilterCondition(parts[2], parts[3], value, key));
+    } else {
+      if (parts.length > 2) {
+        throw new Error(`Malformed filter parameter: ${key}`);
+      }
+      filter.and.push(parseFilterCondition(parts[0], parts[1], value, key));
+    }
+  }
+
+  filter.or = [...orGroups.values()];
+  const paramCount = [...filter.and, ...filter.or.flat()].reduce((total, cond) => total + buildFilterCondition(cond).params.length, 0);
+  if (paramCount > FILTER_MAX_PARAMS) {
+    throw new Error(`Filters can use at most ${FILTER_MAX_PARAMS} values in total, got ${paramCount}.`);
+  }
+  return found ? filter : null;
+}
+
+/**
+ * Validates a single filter condition and converts its raw value.
+ * @param {string} column - The column name.
+ * @param {string | undefined} op - The operator (defaults to 'eq').
+ * @param {string} rawValue - The raw query string value.
+ * @param {string} key - The original parameter name, used in error messages.
+ * @returns {{column: string, op: string, value: any}} The validated condition.
+ */
+function parseFilterCondition(column, op = 'eq', rawValue, key) {
+  if (!checkColumnValid(column)) {
+    throw new Error(`Invalid filter column: ${column}`);
+  }
+  if (!FILTER_OPERATORS.includes(op)) {
+    throw new Error(`Invalid filter operator '${op}' in ${key}. Allowed: ${FILTER_OPERATORS.join(', ')}`);
+  }
+
+  let value = rawValue;
+  if (op === 'in') {
+    value = rawValue.split(',');
+    if (value.length > FILTER_MAX_IN_VALUES) {
+      throw new Error(`Filter 'in' expects between 1 and ${FILTER_MAX_IN_VALUES} values.`);
+    }
+    if (value.includes('')) {
+      throw new Error(`Filter 'in' values cannot be empty.`);
+    }
+  } else if (op === 'between') {
+    value = rawValue.split(',');
+    if (value.length !== 2) {
+      throw new Error(`Filter 'between' expects exactly two comma-separated values.`);
+    }
+  } else if (op === 'isnull') {
+    if (rawValue !== 'true' && rawValue !== 'false') {
+      throw new Error(`Filter 'isnull' expects 'true' or 'false'.`);
+    }
+    value = rawValue === 'true';
+  }
+
+  return { column, op, value };
+}
+
+/**
+ * Builds a SQL boolean expression for a single filter condition.
+ * All values are returned as bound parameters.
+ * @param {{column: string, op: string, value: any}} cond - A validated filter condition.
+ * @returns {{sql: string, params: Array<any>}}
+ */
+function buildFilterCondition(cond) {
+  const { column, op, value } = cond;
+
+  switch (op) {
+    case 'eq': return { sql: `${column} = ?`, params: [value] };
+    case 'ne': return { sql: `${column} != ?`, params: [value] };
+    case 'lt': return { sql: `${column} < ?`, params: [value] };
+    case 'lte': return { sql: `${column} <= ?`, params: [value] };
+    case 'gt': return { sql: `${column} > ?`, params: [value] };
+    case 'gte': return { sql: `${column} >= ?`, params: [value] };
+    case 'in': return { sql: `${column} IN (${value.map(() => '?').join(', ')})`, params: value };
+    case 'between': return { sql: `${column} BETWEEN ? AND ?`, params: value };
+    case 'like': return { sql: `${column} LIKE ?`, params: [value] };
+    case 'prefix': return { sql: `${column} LIKE ? ESCAPE '\\'`, params: [value.replace(/[\\%_]/g, '\\$&') + '%'] };
+    case 'isnull': return { sql: value ? `${column} IS NULL` : `${column} IS NOT NULL`, params: [] };
+    default: throw new Error(`Invalid filter operator: ${op}`);
+  }
+}
+
+/**
+ * Builds the WHERE conditions for a parsed filter object.
+ * @param {{and: Array<object>, or: Array<Array<object>>} | null} filter - The parsed filter.
+ * @returns {{conditions: string[], params: Array<any>}} Conditions to be ANDed together, with their bound params.
+ */
+function buildFilterClause(filter) {
+  const conditions = [];
+  const params = [];
+
+  if (!filter) {
+    return { conditions, params };
+  }
+
+  for (const cond of filter.and) {
+    const built = buildFilterCondition(cond);
+    conditions.push(built.sql);
+    params.push(...built.params);
+  }
+
+  if (filter.or.length > 0) {
+    const groups = filter.or.map(group => {
+      const parts = group.map(buildFilterCondition);
+      parts.forEach(p => params.push(...p.params));
+      return `(${parts.map(p => p.sql).join(' AND ')})`;
+    });
+    conditions.push(`(${groups.join(' OR ')})`);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Fetches records from the specified table with optional filtering, ordering, and keyset pagination.
+ * Optimized for Cloudflare D1 to minimize row reads.
+ *
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table to fetch from.
+ * @param {object} [options={}] - Optional query parameters.
+ * @param {number} [options.minId] - Minimum ID value (id > minId). Cannot be used with offset.
+ * @param {number} [options.maxId] - Maximum ID value (id < maxId).
+ * @param {number} [options.limit] - Maximum number of records to return.
+ * @param {number} [options.offset] - Acts as a pagination cursor. Cannot be used with minId.
+ * @param {string} [options.orderby] - Column to order by (default: 'id').
+ * @param {string} [options.order] - 'asc' or 'desc' (default: 'asc').
+ * @param {object} [options.filter] - A filter object as returned by `parseFilterParams`.
+ * @param {object} [options.cursor] - A decoded cursor (see `decodeCursor`). Overrides `order`/`orderby`.
+ * @param {{sql: string, params: Array<any>} | null} [options.scope] - Optional row scope (see `getRowScope`).
+ * Rows for a 'prev' cursor are returned in reverse (scan) order.
+ * @returns {Promise<Array<object>>} An array of matching records.
+ */
+async function getRecordsWithOptions(db, tableName, options = {}) {
+  try {
+    let query = `SELECT * FROM ${tableName}`;
+    const params = [];
+    const conditions = [];
+
+    // Determine order direction (a cursor carries its own ordering)
+    const cursor = options.cursor;
+    const order = cursor ? cursor.order : (options.order === 'desc' ? 'DESC' : 'ASC');
+    const orderBy = cursor ? cursor.orderby : (checkColumnValid(options.orderby) ? options.orderby : 'id');
 
     // Prevent ambiguity: cannot use both minId and offset
     if (options.minId !== undefined && options.offset !== undefined) {
       throw new Error("Cannot use both 'minId' and 'offset' together.");
     }
+    if (cursor && (options.minId != null || options.offset != null)) {
+      throw new Error("Cannot use 'cursor' together with 'minId' or 'offset'.");
+    }
+
+    // A 'prev' cursor scans backwards from the first row of the current page
+    const scanOrder = cursor && cursor.dir === 'prev' ? (order === 'ASC' ? 'DESC' : 'ASC') : order;
+    if (cursor && cursor.id != null) {
+      const keyset = buildKeysetCondition(orderBy, scanOrder, cursor.value, cursor.id);
+      conditions.push(keyset.sql);
+      params.push(...keyset.params);
+    }
 
     // Keyset pagination
     if (options.offset != null && options.offset !== 0) {
@@ -346,13 +1387,26 @@ async function getRecordsWithOptions(db, tableName, options = {}) {
       params.push(options.maxId);
     }
 
+    // Column filters (filter[col][op]=value)
+    const filterClause = buildFilterClause(options.filter);
+    conditions.push(...filterClause.conditions);
+    params.push(...filterClause.params);
+
+    if (options.scope) {
+      conditions.push(options.scope.sql);
+      params.push(...options.scope.params);
+    }
+
     // Apply WHERE clause if needed
     if (conditions.length > 0) {
       query += ` WHERE ${conditions.join(' AND ')}`;
     }
 
-    // Add ORDER BY clause
-    query += ` ORDER BY ${orderBy} ${order}`;
+    // Add ORDER BY clause, with `id` as tiebreaker for non-unique columns
+    query += ` ORDER BY ${orderBy} ${scanOrder}`;
+    if (orderBy !== 'id') {
+      query += `, id ${scanOrder}`;
+    }
 
     // Add LIMIT
     if (options.limit !== undefined && options.limit !== null) {
@@ -369,42 +1423,262 @@ async function getRecordsWithOptions(db, tableName, options = {}) {
     throw new Error(`Failed to fetch records with options: ${error.message}`);
   }
 }
+
 /**
- * Updates an existing record by its ID.
- * @param {D1Database} db - The D1 database instance.
- * @param {string} tableName - The name of the table to update.
- * @param {number} id - The ID of the record to update.
- * @param {object} updates - An object containing key-value pairs for fields to update.
- * @returns {Promise<D1Result>} The result of the update operation.
+ * Builds the keyset condition selecting rows strictly after (orderBy, id) in scan order.
+ * SQLite sorts NULLs first in ascending order, so NULL sort keys are handled explicitly.
+ *
+ * @param {string} orderBy - The sort column.
+ * @param {'ASC' | 'DESC'} scanOrder - The direction rows are scanned in.
+ * @param {any} value - The sort key of the last row seen.
+ * @param {number} id - The id of the last row seen.
+ * @returns {{sql: string, params: Array<any>}}
  */
-async function updateRecord(db, tableName, id, updates) {
-  try {
-    const setClauses = [];
-    const bindValues = [];
+function buildKeysetCondition(orderBy, scanOrder, value, id) {
+  const idOp = scanOrder === 'ASC' ? '>' : '<';
 
-    for (const key in updates) {
-      if (Object.prototype.hasOwnProperty.call(updates, key)) {
-        if (!checkColumnValid(key)) {
-          throw new Error(`Invalid column name: ${key}`);
-        }
-        setClauses.push(`${key} = ?`);
-        bindValues.push(updates[key]);
-      }
-    }
+  if (orderBy === 'id') {
+    return { sql: `id ${idOp} ?`, params: [id] };
+  }
 
-    if (setClauses.length === 0) {
-      throw new Error('No fields provided for update.');
+  if (scanOrder === 'ASC') {
+    if (value === null) {
+      return { sql: `(${orderBy} IS NOT NULL OR id > ?)`, params: [id] };
     }
+    return { sql: `(${orderBy} > ? OR (${orderBy} = ? AND id > ?))`, params: [value, value, id] };
+  }
+
+  if (value === null) {
+    return { sql: `(${orderBy} IS NULL AND id < ?)`, params: [id] };
+  }
+  return { sql: `(${orderBy} < ? OR (${orderBy} = ? AND id < ?) OR ${orderBy} IS NULL)`, params: [value, value, id] };
+}
+
+/**
+ * Encodes a pagination cursor as an opaque URL-safe string.
+ * @param {{orderby: string, order: string, dir: string, value: any, id: number}} cursor
+ * @returns {string} The base64url-encoded cursor.
+ */
+function encodeCursor(cursor) {
+  const bytes = new TextEncoder().encode(JSON.stringify([cursor.orderby, cursor.order, cursor.dir, cursor.value, cursor.id]));
+  let binary = '';
+  for (const b of bytes) {
+    binary += String.fromCharCode(b);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes and validates a cursor produced by `encodeCursor`.
+ * @param {string} token - The opaque cursor string.
+ * @returns {{orderby: string, order: string, dir: string, value: any, id: number}} The decoded cursor.
+ */
+function decodeCursor(token) {
+  let decoded;
+  try {
+    const binary = atob(token.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    decoded = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new Error('Malformed cursor.');
+  }
+
+  if (!Array.isArray(decoded) || decoded.length !== 5) {
+    throw new Error('Malformed cursor.');
+  }
+  const [orderby, order, dir, value, id] = decoded;
+  if ((orderby !== 'id' && !checkColumnValid(orderby))
+    || (order !== 'ASC' && order !== 'DESC')
+    || (dir !== 'next' && dir !== 'prev')
+    // The value is bound as-is, so it must be something a column can hold
+    || !(value === null || typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value)))
+    || !Number.isInteger(id)) {
+    throw new Error('Malformed cursor.');
+  }
+
+  return { orderby, order, dir, value, id };
+}
+
+/**
+ * Fetches one page of records using opaque cursors.
+ * Pages are stable for any ordering because every cursor carries the sort key plus the `id` tiebreaker.
+ *
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table to fetch from.
+ * @param {object} [options={}] - Same options as `getRecordsWithOptions`, except `minId` and `offset`.
+ * @param {object | null} [options.cursor] - A decoded cursor from a previous page; null for the first page.
+ * @returns {Promise<{items: Array<object>, next_cursor: string | null, prev_cursor: string | null}>}
+ */
+async function getRecordsPage(db, tableName, options = {}) {
+  const cursor = options.cursor || {
+    orderby: checkColumnValid(options.orderby) ? options.orderby : 'id',
+    order: options.order === 'desc' ? 'DESC' : 'ASC',
+    dir: 'next',
+    value: null,
+    id: null,
+  };
+  const limit = Math.min(Math.max(options.limit || CURSOR_DEFAULT_LIMIT, 1), CURSOR_MAX_LIMIT);
+
+  // Fetch one extra row to find out whether another page exists in the scan direction
+  const rows = await getRecordsWithOptions(db, tableName, { ...options, cursor, limit: limit + 1 });
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (cursor.dir === 'prev') {
+    items.reverse();
+  }
+
+  const makeCursor = (row, dir) => encodeCursor({ orderby: cursor.orderby, order: cursor.order, dir, value: row[cursor.orderby], id: row.id });
+  const first = items[0];
+  const last = items[items.length - 1];
+  const isFirstPage = cursor.id == null;
+
+  let nextCursor = null;
+  let prevCursor = null;
+  if (cursor.dir === 'next') {
+    nextCursor = hasMore ? makeCursor(last, 'next') : null;
+    prevCursor = !isFirstPage && first ? makeCursor(first, 'prev') : null;
+  } else {
+    prevCursor = hasMore ? makeCursor(first, 'prev') : null;
+    nextCursor = last ? makeCursor(last, 'next') : null;
+  }
+
+  return { items, next_cursor: nextCursor, prev_cursor: prevCursor };
+}
+
+/**
+ * Parses the `columns` projection of the export endpoint.
+ * @param {string | null} columnsParam - Comma-separated column names, or null for all columns.
+ * @returns {string[]} The columns to export, in the requested order.
+ */
+function parseExportColumns(columnsParam) {
+  if (!columnsParam) {
+    return EXPORT_COLUMNS;
+  }
+  const columns = columnsParam.split(',').map(column => column.trim());
+  const invalid = columns.filter(column => column !== 'id' && !checkColumnValid(column));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid export columns: ${invalid.join(', ')}`);
+  }
+  if (new Set(columns).size !== columns.length) {
+    throw new Error('Duplicate export columns.');
+  }
+  return columns;
+}
+
+/**
+ * Formats one CSV field: null becomes an empty field, and values containing
+ * a comma, quote or line break are quoted.
+ * @param {any} value - The field value.
+ * @returns {string}
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Returns the number of rows an export reads per query.
+ * @param {Env} env - The environment variables (optional `EXPORT_PAGE_SIZE`).
+ * @returns {number}
+ */
+function getExportPageSize(env) {
+  const configured = parseInt(env.EXPORT_PAGE_SIZE);
+  return configured > 0 ? Math.min(configured, EXPORT_MAX_PAGE_SIZE) : EXPORT_DEFAULT_PAGE_SIZE;
+}
+
+/**
+ * Streams a whole table as NDJSON, CSV or a JSON array.
+ * Rows are read in pages by keyset paging over `id`, so only one page is held in memory
+ * at a time regardless of the table size.
+ *
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table to export.
+ * @param {object} options - Export options.
+ * @param {'ndjson' | 'csv' | 'json'} options.format - The output format.
+ * @param {string[]} options.columns - The columns to include (see `parseExportColumns`).
+ * @param {number} options.pageSize - Rows per query (see `getExportPageSize`).
+ * @param {object} [options.filter] - A filter object as returned by `parseFilterParams`.
+ * @param {{sql: string, params: Array<any>} | null} [options.scope] - Optional row scope (see `getRowScope`).
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function exportRecordsStream(db, tableName, options) {
+  const { format, columns, filter, scope, pageSize } = options;
+  const encoder = new TextEncoder();
+  let lastId = 0;
+  let first = true;
+  let done = false;
 
-    // Optional: auto-update v2 as last modified timestamp
-    if (!updates.v2) {
-      setClauses.push(`v2 = CURRENT_TIMESTAMP`);
+  const formatRow = row => {
+    if (format === 'csv') {
+      return columns.map(column => toCsvField(row[column])).join(',') + '\r\n';
+    }
+    const projected = Object.fromEntries(columns.map(column => [column, row[column]]));
+    if (format === 'ndjson') {
+      return JSON.stringify(projected) + '\n';
     }
+    return (first ? '\n' : ',\n') + JSON.stringify(projected);
+  };
 
-    const query = `UPDATE ${tableName} SET ${setClauses.join(', ')} WHERE id = ?;`;
-    bindValues.push(id);
+  return new ReadableStream({
+    start(controller) {
+      if (format === 'csv') {
+        controller.enqueue(encoder.encode(columns.join(',') + '\r\n'));
+      } else if (format === 'json') {
+        controller.enqueue(encoder.encode('['));
+      }
+    },
+    async pull(controller) {
+      if (done) {
+        return;
+      }
+      try {
+        const rows = await getRecordsWithOptions(db, tableName, { minId: lastId, limit: pageSize, filter, scope });
+        let chunk = '';
+        for (const row of rows) {
+          chunk += formatRow(row);
+          first = false;
+        }
+        if (rows.length > 0) {
+          lastId = rows[rows.length - 1].id;
+        }
+        if (rows.length < pageSize) {
+          done = true;
+          if (format === 'json') {
+            chunk += first ? ']' : '\n]';
+          }
+        }
+        if (chunk) {
+          controller.enqueue(encoder.encode(chunk));
+        }
+        if (done) {
+          controller.close();
+        }
+      } catch (error) {
+        console.error(`Error exporting table ${tableName}:`, error);
+        controller.error(new Error(`Failed to export records: ${error.message}`));
+      }
+    },
+  });
+}
 
-    const result = await db.prepare(query).bind(...bindValues).run();
+/**
+ * Updates an existing record by its ID.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table to update.
+ * @param {number} id - The ID of the record to update.
+ * @param {object} updates - An object containing key-value pairs for fields to update.
+ * @param {{sql: string, params: Array<any>} | null} [scope=null] - Optional row scope (see `getRowScope`).
+ * @param {object | null} [audit=null] - Audit context (see `createAuditContext`).
+ * @returns {Promise<D1Result>} The result of the update operation.
+ */
+async function updateRecord(db, tableName, id, updates, scope = null, audit = null) {
+  try {
+    const [result] = await runWithAudit(db, tableName, audit, { operation: 'update', where: scopedWhere('id = ?', [id], scope) }, [
+      prepareUpdateStatement(db, tableName, id, updates, scope),
+    ]);
 
     return {
       success: result.success,
@@ -417,405 +1691,4779 @@ async function updateRecord(db, tableName, id, updates) {
 }
 
 /**
- * Deletes a record by its ID.
+ * Applies a parsed PATCH to a record in a single UPDATE statement, so increments and JSON edits
+ * are computed by SQLite from the current values and never race with other writers.
  * @param {D1Database} db - The D1 database instance.
- * @param {string} tableName - The name of the table to delete from.
- * @param {number} id - The ID of the record to delete.
- * @returns {Promise<D1Result>} The result of the delete operation.
+ * @param {string} tableName - The name of the table to update.
+ * @param {number} id - The ID of the record to update.
+ * @param {{setClauses: Array<string>, params: Array<any>}} patch - The result of `parsePatchOperations`.
+ * @param {{sql: string, params: Array<any>} | null} [scope=null] - Optional row scope (see `getRowScope`).
+ * @param {object | null} [audit=null] - Audit context (see `createAuditContext`).
+ * @returns {Promise<object | null>} The updated record, or null if no row matched.
  */
-async function deleteRecord(db, tableName, id) {
+async function patchRecord(db, tableName, id, patch, scope = null, audit = null) {
   try {
-    const query = `DELETE FROM ${tableName} WHERE id = ?;`;
-    const result = await db.prepare(query).bind(id).run();
-    return result;
+    const where = scopedWhere('id = ?', [id], scope);
+    const [result] = await runWithAudit(db, tableName, audit, { operation: 'update', where }, [
+      db.prepare(`UPDATE ${tableName} SET ${patch.setClauses.join(', ')} WHERE ${where.sql} RETURNING *;`)
+        .bind(...patch.params, ...where.params),
+    ]);
+    return result.results[0] || null;
   } catch (error) {
-    console.error(`Error deleting record ID ${id} from table ${tableName}:`, error);
-    throw new Error(`Failed to delete record: ${error.message}`);
+    console.error(`Error patching record ID ${id} in table ${tableName}:`, error);
+    throw new Error(`Failed to patch record: ${error.message}`);
   }
 }
 
 /**
- * Lists all user-defined tables in the D1 database.
+ * Inserts a record, or updates the existing record with the same `c1` value.
+ * Uses `INSERT ... ON CONFLICT(c1) DO UPDATE`, so the table must have been created with `c1Unique`.
+ * The lookup and the upsert run in one `db.batch()` transaction, so the created flag is race-free.
+ *
  * @param {D1Database} db - The D1 database instance.
- * @returns {Promise<string[]>} An array of table names.
+ * @param {string} tableName - The name of the table to write to.
+ * @param {object} data - The record data; must include `c1`.
+ * @param {{sql: string, params: Array<any>} | null} [scope=null] - Optional row scope (see `getRowScope`).
+ * @param {object | null} [audit=null] - Audit context (see `createAuditContext`).
+ * @returns {Promise<{id: number, created: boolean} | null>} The row id and whether a new row was inserted,
+ * or null if the existing row is outside the scope.
  */
-async function listTables(db) {
+async function upsertRecordByC1(db, tableName, data, scope = null, audit = null) {
   try {
-    // Query sqlite_master to get user-defined table names
-    const query = `SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE 'cf_%';`;
-    const { results } = await db.prepare(query).all();
-    // Extract just the table names from the results
-    return results.map(row => row.name);
+    for (const key of Object.keys(data)) {
+      if (!checkColumnValid(key)) {
+        throw new Error(`Invalid column name: ${key}`);
+      }
+    }
+
+    const [existing, upserted] = await runWithAudit(db, tableName, audit, { operation: 'upsert', where: scopedWhere('c1 = ?', [data.c1], scope) }, [
+      db.prepare(`SELECT id FROM ${tableName} WHERE c1 = ?;`).bind(data.c1),
+      prepareUpsertStatement(db, tableName, data, 'c1', scope),
+    ]);
+
+    if (upserted.results.length === 0) {
+      return null;
+    }
+    return { id: upserted.results[0].id, created: existing.results.length === 0 };
   } catch (error) {
-    console.error('Error listing tables:', error);
-    throw new Error(`Failed to list tables: ${error.message}`);
+    console.error(`Error upserting record by c1 in table ${tableName}:`, error);
+    throw new Error(`Failed to upsert record: ${error.message}`);
   }
 }
 
 /**
- * Drops (deletes) a table from the database.
+ * Maps an upsert error to a response, explaining the missing UNIQUE constraint when that is the cause.
+ * @param {Error} error - The error thrown by `upsertRecordByC1`.
+ * @returns {Response}
+ */
+function upsertErrorResponse(error) {
+  if (error.message.includes('ON CONFLICT clause does not match')) {
+    return jsonResponse(1, "Upsert by c1 requires a UNIQUE 'c1' column. Create the table with c1Unique: true.", { details: error.message }, 400);
+  }
+  if (error.message.includes('Invalid column name')) {
+    return jsonResponse('INVALID_COLUMN', 'Invalid upsert data.', { details: error.message }, 400);
+  }
+  if (error.message.includes('Upsert requires')) {
+    return jsonResponse(1, 'Invalid upsert data.', { details: error.message }, 400);
+  }
+  return jsonResponse(1, 'Failed to upsert record', { details: error.message }, 500);
+}
+
+/**
+ * Builds the prepared statement that deletes one record, or every record in scope when `id` is null.
+ * When the scope has `softDelete` set, rows are moved to the trash instead of being removed.
+ *
  * @param {D1Database} db - The D1 database instance.
- * @param {string} tableName - The name of the table to drop.
- * @returns {Promise<D1Result>} The result of the drop operation.
+ * @param {string} tableName - The name of the table to delete from.
+ * @param {number | null} id - The ID of the record to delete, or null for all rows in scope.
+ * @param {{sql: string, params: Array<any>, softDelete?: boolean} | null} [scope=null] - Optional row scope (see `getRowScope`).
+ * @returns {D1PreparedStatement} The bound statement.
  */
-async function dropTable(db, tableName) {
+function prepareDeleteStatement(db, tableName, id, scope = null) {
+  const conditions = [];
+  const params = [];
+  if (id !== null) {
+    conditions.push('id = ?');
+    params.push(id);
+  }
+  if (scope) {
+    conditions.push(scope.sql);
+    params.push(...scope.params);
+  }
+  const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+  const query = scope && scope.softDelete
+    ? `UPDATE ${tableName} SET ${SOFT_DELETE_COLUMN} = CURRENT_TIMESTAMP, v2 = CURRENT_TIMESTAMP${where};`
+    : `DELETE FROM ${tableName}${where};`;
+  return db.prepare(query).bind(...params);
+}
+
+/**
+ * Deletes a record by its ID (or moves it to the trash in soft-delete mode).
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table to delete from.
+ * @param {number} id - The ID of the record to delete.
+ * @param {{sql: string, params: Array<any>, softDelete?: boolean} | null} [scope=null] - Optional row scope (see `getRowScope`).
+ * @param {object | null} [audit=null] - Audit context (see `createAuditContext`).
+ * @returns {Promise<D1Result>} The result of the delete operation.
+ */
+async function deleteRecord(db, tableName, id, scope = null, audit = null) {
   try {
-    const query = `DROP TABLE IF EXISTS ${tableName};`;
-    const result = await db.prepare(query).run();
+    const [result] = await runWithAudit(db, tableName, audit, { operation: 'delete', where: scopedWhere('id = ?', [id], scope) }, [
+      prepareDeleteStatement(db, tableName, id, scope),
+    ]);
     return result;
   } catch (error) {
-    console.error(`Error dropping table ${tableName}:`, error);
-    throw new Error(`Failed to drop table: ${error.message}`);
+    console.error(`Error deleting record ID ${id} from table ${tableName}:`, error);
+    throw new Error(`Failed to delete record: ${error.message}`);
   }
 }
 
 /**
- * Counts the number of records in a table with optional min_id and max_id filters.
+ * Restores a record from the trash.
  * @param {D1Database} db - The D1 database instance.
- * @param {string} tableName - The name of the table to count from.
- * @param {object} [options={}] - An object containing optional query parameters.
- * @param {number} [options.minId] - Minimum ID value (id > minId).
- * @param {number} [options.maxId] - Maximum ID value (id < maxId).
- * @returns {Promise<number>} The count of matching records.
+ * @param {string} tableName - The name of the table.
+ * @param {number} id - The ID of the record to restore.
+ * @param {{sql: string, params: Array<any>}} trashScope - The trash scope (`getRowScope` with `deleted: true`).
+ * @param {object | null} [audit=null] - Audit context (see `createAuditContext`).
+ * @returns {Promise<boolean>} True if a trashed record was restored.
  */
-async function countRecords(db, tableName, options = {}) {
+async function restoreRecord(db, tableName, id, trashScope, audit = null) {
   try {
-    let query = `SELECT COUNT(id) AS count FROM ${tableName}`;
-    const params = [];
-    const conditions = [];
-
-    if (options.minId !== undefined && options.minId !== null) {
-      conditions.push(`id > ?`);
-      params.push(options.minId);
-    }
-    if (options.maxId !== undefined && options.maxId !== null) {
-      conditions.push(`id < ?`);
-      params.push(options.maxId);
-    }
-
-    if (conditions.length > 0) {
-      query += ` WHERE ${conditions.join(' AND ')}`;
-    }
-
-    const { results } = await db.prepare(query).bind(...params).all();
-    return results.length > 0 ? results[0].count : 0;
+    const query = `UPDATE ${tableName} SET ${SOFT_DELETE_COLUMN} = NULL, v2 = CURRENT_TIMESTAMP WHERE id = ? AND ${trashScope.sql};`;
+    const [result] = await runWithAudit(db, tableName, audit, { operation: 'restore', where: scopedWhere('id = ?', [id], trashScope) }, [
+      db.prepare(query).bind(id, ...trashScope.params),
+    ]);
+    return result.meta.changes > 0;
   } catch (error) {
-    console.error(`Error counting records from table ${tableName} with options:`, error);
-    throw new Error(`Failed to count records: ${error.message}`);
+    console.error(`Error restoring record ID ${id} in table ${tableName}:`, error);
+    throw new Error(`Failed to restore record: ${error.message}`);
   }
 }
 
 /**
- * Gets the maximum ID from a specified table.
+ * Permanently removes trashed records that were deleted at least `olderThanDays` days ago.
  * @param {D1Database} db - The D1 database instance.
- * @param {string} tableName - The name of the table to query.
- * @returns {Promise<number | null>} The maximum ID, or null if the table is empty.
+ * @param {string} tableName - The name of the table.
+ * @param {number} olderThanDays - Minimum age in days; 0 empties the trash.
+ * @param {{sql: string, params: Array<any>}} trashScope - The trash scope (`getRowScope` with `deleted: true`).
+ * @param {object | null} [audit=null] - Audit context (see `createAuditContext`).
+ * @param {boolean} [readPurged=false] - Also return the purged rows, read in the same transaction (for webhooks).
+ * @returns {Promise<{purged: number, records: Array<object>}>} The number of records purged, and the rows if read.
  */
-async function getMaxId(db, tableName) {
+async function purgeTrash(db, tableName, olderThanDays, trashScope, audit = null, readPurged = false) {
   try {
-    const query = `SELECT MAX(id) AS max_id FROM ${tableName};`;
-    const { results } = await db.prepare(query).all();
-    // D1 returns results as an array of objects.
-    // If the table is empty, MAX(id) returns null.
-    return results.length > 0 && results[0].max_id !== null ? results[0].max_id : null;
+    const where = {
+      sql: `${trashScope.sql} AND ${SOFT_DELETE_COLUMN} <= datetime('now', ?)`,
+      params: [...trashScope.params, `-${olderThanDays} days`],
+    };
+    const statements = [db.prepare(`DELETE FROM ${tableName} WHERE ${where.sql};`).bind(...where.params)];
+    if (readPurged) {
+      statements.unshift(db.prepare(`SELECT * FROM ${tableName} WHERE ${where.sql};`).bind(...where.params));
+    }
+    const results = await runWithAudit(db, tableName, audit, { operation: 'purge', where }, statements);
+    return { purged: results[results.length - 1].meta.changes, records: readPurged ? results[0].results : [] };
   } catch (error) {
-    console.error(`Error getting max ID from table ${tableName}:`, error);
-    throw new Error(`Failed to get max ID: ${error.message}`);
+    console.error(`Error purging trash of table ${tableName}:`, error);
+    throw new Error(`Failed to purge trash: ${error.message}`);
   }
 }
 
-
 /**
- * Drops a specific index from a table.
+ * Adds the soft-delete column (and an index on it) to a table, unless it already has one.
  * @param {D1Database} db - The D1 database instance.
- * @param {string} tableName - The name of the table the index belongs to.
- * @param {string} indexName - The name of the index to drop.
- * @returns {Promise<D1Result>} The result of the drop index operation.
+ * @param {string} tableName - The name of the table.
+ * @returns {Promise<boolean>} True if the column was added.
  */
-async function dropIndex(db, tableName, indexName) {
+async function ensureSoftDeleteColumn(db, tableName) {
   try {
-    // SQLite's DROP INDEX syntax does not explicitly reference the table name in the ON clause,
-    // but typically indexes are uniquely named within a database.
-    // It's good practice to ensure the index exists before trying to drop it.
-    const query = `DROP INDEX IF EXISTS ${indexName};`;
-    const result = await db.prepare(query).run();
-    return result;
+    const { results } = await db.prepare(`PRAGMA table_info(${tableName});`).all();
+    if (results.some(column => column.name === SOFT_DELETE_COLUMN)) {
+      return false;
+    }
+    await db.batch([
+      db.prepare(`ALTER TABLE ${tableName} ADD COLUMN ${SOFT_DELETE_COLUMN} TIMESTAMP DEFAULT NULL;`),
+      db.prepare(`CREATE INDEX IF NOT EXISTS idx_${tableName}_${SOFT_DELETE_COLUMN} ON ${tableName}(${SOFT_DELETE_COLUMN});`),
+    ]);
+    return true;
   } catch (error) {
-    console.error(`Error dropping index ${indexName} from table ${tableName}:`, error);
-    throw new Error(`Failed to drop index: ${error.message}`);
+    console.error(`Error adding soft-delete column to table ${tableName}:`, error);
+    throw new Error(`Failed to enable soft delete: ${error.message}`);
   }
 }
 
+/**
+ * Name of the FTS5 table indexing a table. Its prefix keeps it (and its shadow tables and triggers)
+ * out of the table list and away from the generic routes.
+ * @param {string} tableName - The table name.
+ * @returns {string}
+ */
+function searchIndexName(tableName) {
+  return `${SYSTEM_TABLE_PREFIX}FTS_${tableName.toLowerCase()}`;
+}
 
-export default {
-  async fetch(request, env) {
-    const url = new URL(request.url);
-    const pathSegments = url.pathname.split('/').filter(segment => segment);
-    const method = request.method;
+/**
+ * (Re)creates the full-text index of a table: an external-content FTS5 table over the given columns,
+ * kept in sync by insert/update/delete triggers, and filled from the existing rows.
+ * With no columns, the index and its triggers are dropped.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table.
+ * @param {Array<string> | null} columns - The columns to index (from `SEARCH_COLUMNS`), or null to remove the index.
+ * @returns {Promise<void>}
+ */
+async function buildSearchIndex(db, tableName, columns) {
+  const fts = searchIndexName(tableName);
+  const statements = ['ai', 'ad', 'au'].map(suffix => db.prepare(`DROP TRIGGER IF EXISTS ${fts}_${suffix};`));
+  statements.push(db.prepare(`DROP TABLE IF EXISTS ${fts};`));
 
-    // Ensure the D1 binding is available
-    if (!env.DB) {
-      return jsonResponse(1, 'D1 database binding not found.', null, 500);
-    }
+  if (columns) {
+    const list = columns.join(', ');
+    const newValues = columns.map(column => `new.${column}`).join(', ');
+    const oldValues = columns.map(column => `old.${column}`).join(', ');
+    statements.push(
+      db.prepare(`CREATE VIRTUAL TABLE ${fts} USING fts5(${list}, content='${tableName}', content_rowid='id');`),
+      db.prepare(`CREATE TRIGGER ${fts}_ai AFTER INSERT ON ${tableName} BEGIN
+        INSERT INTO ${fts}(rowid, ${list}) VALUES (new.id, ${newValues});
+      END;`),
+      db.prepare(`CREATE TRIGGER ${fts}_ad AFTER DELETE ON ${tableName} BEGIN
+        INSERT INTO ${fts}(${fts}, rowid, ${list}) VALUES ('delete', old.id, ${oldValues});
+      END;`),
+      db.prepare(`CREATE TRIGGER ${fts}_au AFTER UPDATE OF ${list} ON ${tableName} BEGIN
+        INSERT INTO ${fts}(${fts}, rowid, ${list}) VALUES ('delete', old.id, ${oldValues});
+        INSERT INTO ${fts}(rowid, ${list}) VALUES (new.id, ${newValues});
+      END;`),
+      db.prepare(`INSERT INTO ${fts}(${fts}) VALUES ('rebuild');`),
+    );
+  }
+
+  try {
+    await db.batch(statements);
+  } catch (error) {
+    console.error(`Error building search index of table ${tableName}:`, error);
+    throw new Error(`Failed to build search index: ${error.message}`);
+  }
+}
 
-    // Authenticate the request first, passing the env object
-    const auth = authenticateRequest(request, env);
+/**
+ * Turns a search box query into an FTS5 query: every word must match, and FTS5 operators
+ * and punctuation are taken literally.
+ * @param {string} text - The query as typed.
+ * @returns {string}
+ */
+function toFtsQuery(text) {
+  return text.split(/\s+/).filter(Boolean).map(word => `"${word.replace(/"/g, '""')}"`).join(' ');
+}
 
-    if (!auth.isAuthenticated) {
-      // Return 401 Unauthorized for missing or invalid token
-      return jsonResponse(1, auth.message, null, 401);
-    }
+/**
+ * Runs a full-text query against the index of a table, best matches first (by bm25).
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table.
+ * @param {object} options
+ * @param {string} options.query - The FTS5 query.
+ * @param {number} options.limit - Maximum number of matches.
+ * @param {number} options.offset - Number of matches to skip.
+ * @param {object | null} [options.scope=null] - The row scope (see `getRowScope`).
+ * @returns {Promise<{items: Array<{record: object, rank: number, snippet: string}>, next_offset: number | null}>}
+ */
+async function searchRecords(db, tableName, { query, limit, offset, scope = null }) {
+  const fts = searchIndexName(tableName);
+  // The matches are computed on their own so that the row scope only sees the table's columns
+  const where = scopedWhere('1 = 1', [], scope);
+  try {
+    const { results } = await db.prepare(`
+      WITH matches AS (
+        SELECT rowid AS match_id, bm25(${fts}) AS match_rank,
+          snippet(${fts}, -1, '<mark>', '</mark>', '…', 16) AS match_snippet
+        FROM ${fts} WHERE ${fts} MATCH ?
+      )
+      SELECT ${tableName}.*, match_rank, match_snippet
+      FROM ${tableName} JOIN matches ON ${tableName}.id = matches.match_id
+      WHERE ${where.sql}
+      ORDER BY match_rank ASC, ${tableName}.id ASC
+      LIMIT ? OFFSET ?;
+    `).bind(query, ...where.params, limit + 1, offset).all();
 
-    const API_PREFIX = 'api';
+    const items = results.slice(0, limit).map(({ match_rank, match_snippet, ...record }) => ({
+      record,
+      rank: match_rank,
+      snippet: match_snippet,
+    }));
+    return { items, next_offset: results.length > limit ? offset + limit : null };
+  } catch (error) {
+    console.error(`Error searching table ${tableName}:`, error);
+    throw new Error(`Failed to search records: ${error.message}`);
+  }
+}
 
-    // Check if the request starts with the API prefix
-    if (pathSegments[0] !== API_PREFIX) {
-        return jsonResponse(0, null, { message: 'Welcome to the D1 API!' }, 200);
+/**
+ * Creates or drops the triggers that bump the cache generation of a table (`i1` of its settings row)
+ * on every insert, update and delete, in the same transaction as the change. Every write path,
+ * including batch, import and the trash routes, thereby invalidates the cached responses.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table.
+ * @param {boolean} enabled - Create the triggers (true) or drop them (false).
+ * @returns {Promise<void>}
+ */
+async function buildCacheTriggers(db, tableName, enabled) {
+  const prefix = `${SYSTEM_TABLE_PREFIX}CACHE_${tableName.toLowerCase()}`;
+  const bump = `UPDATE ${DB_DA_SYSTEM_TABLENAME} SET i1 = COALESCE(i1, 0) + 1 WHERE c1 = '${TABLE_SETTINGS_KEY_PREFIX}${tableName.toLowerCase()}';`;
+  const events = { ai: 'INSERT', au: 'UPDATE', ad: 'DELETE' };
+  const statements = Object.keys(events).map(suffix => db.prepare(`DROP TRIGGER IF EXISTS ${prefix}_${suffix};`));
+  if (enabled) {
+    for (const [suffix, event] of Object.entries(events)) {
+      statements.push(db.prepare(`CREATE TRIGGER ${prefix}_${suffix} AFTER ${event} ON ${tableName} BEGIN ${bump} END;`));
     }
+  }
+  try {
+    await db.batch(statements);
+  } catch (error) {
+    console.error(`Error building cache triggers of table ${tableName}:`, error);
+    throw new Error(`Failed to configure the cache: ${error.message}`);
+  }
+}
 
-    // --- Table Management Endpoints ---
+/**
+ * Looks up a GET request in the edge cache of a table with the `cache_ttl` setting.
+ *
+ * The key is the URL with sorted query parameters, the cache version of the table and a hash of the
+ * caller's row scope, so callers in ownership mode never share entries. Requests with `If-None-Match`
+ * or `Cache-Control: no-cache` bypass the cache. Responses carry `X-Cache: HIT`, `MISS` or `BYPASS`.
+ *
+ * @param {Request} request - The incoming request.
+ * @param {ExecutionContext} ctx - The Worker execution context (the cache is written in the background).
+ * @param {object} options
+ * @param {URL} options.url - The parsed request URL.
+ * @param {boolean} options.cacheable - Whether the route may be cached at all.
+ * @param {object} options.settings - The table settings.
+ * @param {string | null} options.version - The cache version of the table (from `getTableState`).
+ * @param {object | null} options.scope - The row scope (see `getRowScope`).
+ * @returns {Promise<{hit: Response | null, store: function(Response): Response}>} The cached response, if any,
+ * and a function that caches a fresh 200 response and returns it with its cache status.
+ */
+async function openEdgeCache(request, ctx, { url, cacheable, settings, version, scope }) {
+  const withStatus = (response, status) => {
+    const tagged = new Response(response.body, response);
+    tagged.headers.set('X-Cache', status);
+    tagged.headers.delete('Cache-Control');
+    return tagged;
+  };
+  if (!settings.cache_ttl || !cacheable || request.method !== 'GET' || typeof caches === 'undefined') {
+    return { hit: null, store: response => response };
+  }
+  if (version === null || request.headers.has('If-None-Match') || /no-cache/.test(request.headers.get('Cache-Control') || '')) {
+    return { hit: null, store: response => withStatus(response, 'BYPASS') };
+  }
 
-    // Handle /api/tables endpoint (List Tables)
-    if (pathSegments[1] === 'tables' && method === 'GET' && pathSegments.length === 2) {
-      if (!auth.canRead) {
-        return jsonResponse(1, 'Forbidden: Read access required to list tables.', null, 403);
-      }
-      try {
-        const tables = await listTables(env.DB);
-        return jsonResponse(0, null, { tables: tables });
-      } catch (error) {
-        console.error('Error in /api/tables endpoint:', error);
-        return jsonResponse(1, 'Internal server error while listing tables.', { details: error.message }, 500);
+  const params = new URLSearchParams(url.searchParams);
+  params.sort();
+  params.set('__cache', `${version}.${scope ? (await sha256Hex(JSON.stringify([scope.sql, scope.params]))).slice(0, 16) : '*'}`);
+  const key = new Request(`${url.origin}${url.pathname}?${params}`);
+  const cached = await caches.default.match(key);
+  if (cached) {
+    return { hit: withStatus(cached, 'HIT'), store: response => response };
+  }
+  return {
+    hit: null,
+    store: response => {
+      if (response.status !== 200) {
+        return response;
       }
+      const entry = new Response(response.clone().body, response);
+      entry.headers.set('Cache-Control', `max-age=${settings.cache_ttl}`);
+      ctx.waitUntil(caches.default.put(key, entry));
+      return withStatus(response, 'MISS');
+    },
+  };
+}
+
+/**
+ * Validates a list of batch operations before anything is executed.
+ *
+ * Each operation is one of:
+ *   { "op": "insert", "data": {...} }
+ *   { "op": "update", "id": 5, "data": {...} }
+ *   { "op": "delete", "id": 5 }
+ *   { "op": "upsert", "on": "c1" | "id", "data": {...} }   // `on` defaults to 'c1'
+ *
+ * @param {Array<object>} operations - The operations to validate.
+ * @returns {Array<{index: number, message: string}>} One entry per invalid operation; empty if all are valid.
+ */
+function validateBatchOperations(operations) {
+  const errors = [];
+  const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  operations.forEach((operation, index) => {
+    const fail = message => errors.push({ index, message });
+
+    if (!isPlainObject(operation)) {
+      return fail('Operation must be an object.');
+    }
+    const { op, id, data } = operation;
+    if (!BATCH_OPERATIONS.includes(op)) {
+      return fail(`Invalid op '${op}'. Allowed: ${BATCH_OPERATIONS.join(', ')}`);
+    }
+    if ((op === 'update' || op === 'delete') && !(Number.isInteger(id) && id > 0)) {
+      return fail(`'${op}' requires a positive integer 'id'.`);
+    }
+    if ((op === 'update' || op === 'delete') && !checkUserIdValid(id)) {
+      return fail(`Record ids 1-${RESERVED_MAX_ID} are reserved for system use.`);
+    }
+    if (op === 'delete') {
+      return;
     }
 
-    // Handle /api/tables/:tableName endpoint (Drop Table)
-    if (pathSegments[1] === 'tables' && method === 'DELETE' && pathSegments.length === 3) {
-      if (!auth.canWrite) {
-        return jsonResponse(1, 'Forbidden: Write access required to drop tables.', null, 403);
+    if (!isPlainObject(data) || Object.keys(data).length === 0) {
+      return fail(`'${op}' requires a non-empty 'data' object.`);
+    }
+    const conflictColumn = operation.on || 'c1';
+    if (op === 'upsert') {
+      if (conflictColumn !== 'c1' && conflictColumn !== 'id') {
+        return fail(`Invalid upsert 'on' column '${conflictColumn}'. Allowed: c1, id`);
       }
-      const tableNameToDrop = pathSegments[2];
-      if (!tableNameToDrop) {
-        return jsonResponse(1, 'Table name is required to drop a table.', null, 400);
+      if (data[conflictColumn] === undefined || data[conflictColumn] === null) {
+        return fail(`Upsert requires a value for '${conflictColumn}'.`);
       }
-      try {
-        const dropResult = await dropTable(env.DB, tableNameToDrop);
-        if (dropResult.success) {
-          return jsonResponse(0, null, { message: `Table '${tableNameToDrop}' dropped successfully.`, results: dropResult });
-        } else {
-          return jsonResponse(1, 'Failed to drop table.', { details: dropResult.error }, 500);
+    }
+    const allowId = op === 'insert' || (op === 'upsert' && conflictColumn === 'id');
+    const invalidColumns = findInvalidColumns(data, allowId);
+    if (invalidColumns.length > 0) {
+      return fail(`Invalid column name(s): ${invalidColumns.join(', ')}`);
+    }
+    if (data.id !== undefined && !checkUserIdValid(data.id)) {
+      return fail(`Explicit id must be an integer greater than ${RESERVED_MAX_ID}; ids 1-${RESERVED_MAX_ID} are reserved.`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Runs a list of insert/update/delete/upsert operations atomically using `db.batch()`.
+ * D1 executes a batch as a single transaction, so either every operation is applied or none is.
+ * Operations must already be validated with `validateBatchOperations`.
+ *
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table to write to.
+ * @param {Array<object>} operations - The validated operations.
+ * @param {{sql: string, params: Array<any>, owner?: object} | null} [scope=null] - Optional row scope (see `getRowScope`).
+ * Inserts are stamped with the owner, and updates/deletes/upserts only touch rows inside the scope.
+ * @param {object | null} [audit=null] - Audit context (see `createAuditContext`); every operation gets its own entry.
+ * @returns {Promise<Array<object>>} One result per operation, in order: `{ index, op, id, changes, created? }`.
+ */
+async function runBatchOperations(db, tableName, operations, scope = null, audit = null) {
+  try {
+    const statements = [];
+    const plan = [];
+
+    for (const operation of operations) {
+      const { op, id } = operation;
+      const data = op === 'insert' || op === 'upsert' ? stampOwner(operation.data, scope) : operation.data;
+      const scopeSql = scope ? ` AND ${scope.sql}` : '';
+      const scopeParams = scope ? scope.params : [];
+      let change;
+      let opStatements;
+
+      switch (op) {
+        case 'insert':
+          change = { operation: 'insert' };
+          opStatements = [prepareInsertStatement(db, tableName, data)];
+          break;
+        case 'update':
+          change = { operation: 'update', where: scopedWhere('id = ?', [id], scope) };
+          opStatements = [prepareUpdateStatement(db, tableName, id, data, scope)];
+          break;
+        case 'delete':
+          change = { operation: 'delete', where: scopedWhere('id = ?', [id], scope) };
+          opStatements = [prepareDeleteStatement(db, tableName, id, scope)];
+          break;
+        case 'upsert': {
+          // Look up the existing row inside the same transaction to report created vs. updated
+          const conflictColumn = operation.on || 'c1';
+          change = { operation: 'upsert', where: scopedWhere(`${conflictColumn} = ?`, [data[conflictColumn]], scope) };
+          opStatements = [
+            db.prepare(`SELECT id FROM ${tableName} WHERE ${conflictColumn} = ?${scopeSql};`).bind(data[conflictColumn], ...scopeParams),
+            prepareUpsertStatement(db, tableName, data, conflictColumn, scope),
+          ];
+          break;
         }
-      } catch (error) {
-        console.error('Error in /api/tables/:tableName endpoint:', error);
-        return jsonResponse(1, 'Internal server error during table drop.', { details: error.message }, 500);
       }
+
+      const audited = withAudit(db, tableName, audit, change, opStatements);
+      plan.push({ op, id, start: statements.length + audited.writeIndex });
+      statements.push(...audited.statements);
     }
-    
-    // Handle table creation endpoint: /api/create-table
-    if (pathSegments[1] === 'initsystem' && method === 'POST') {
-      if (!auth.canWrite) {
-        return jsonResponse(1, 'Forbidden: Write access required to create tables.', null, 403);
-      }
-      try {
-        const createResult = await createTable(env.DB, DB_DA_SYSTEM_TABLENAME, true);
-        if (createResult.every(r => r.success)) {
-          await daSystemTableInit(env.DB);
-          return jsonResponse(0, null, { message: `system init successfully.`, results: createResult }, 201);
-        } else {
-          return jsonResponse(1, 'Failed to create table or insert initial data. Some operations failed.', createResult, 500);
+
+    const batchResults = await db.batch(statements);
+
+    return plan.map(({ op, id, start }, index) => {
+      const result = batchResults[start];
+      switch (op) {
+        case 'insert':
+          return { index, op, id: result.meta.last_row_id, changes: result.meta.changes };
+        case 'upsert': {
+          // No returned row: the conflicting row belongs to another owner and was left untouched
+          const upsertResult = batchResults[start + 1];
+          if (upsertResult.results.length === 0) {
+            return { index, op, id: null, created: false, changes: 0 };
+          }
+          return { index, op, id: upsertResult.results[0].id, created: result.results.length === 0, changes: 1 };
         }
-      } catch (error) {
-        console.error('Error in create-table endpoint:', error);
-        return jsonResponse(1, 'Internal server error during table creation.', { details: error.message }, 500);
+        default:
+          return { index, op, id, changes: result.meta.changes };
       }
+    });
+  } catch (error) {
+    console.error(`Error running batch on table ${tableName}:`, error);
+    throw new Error(`Failed to run batch: ${error.message}`);
+  }
+}
+
+/**
+ * Finds the operations that made a batch fail. D1 does not report which statement failed, so the
+ * operations are checked against the database error:
+ * - `ON CONFLICT clause does not match`: every upsert on `c1` (the table has no UNIQUE `c1`);
+ * - `UNIQUE constraint failed` on one column: operations writing a value that an earlier operation
+ *   of the batch also writes, or that another existing row already holds.
+ *
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table.
+ * @param {Array<object>} operations - The validated operations.
+ * @param {string} message - The database error message.
+ * @returns {Promise<Array<{index: number, message: string}>>} The failing operations; empty if they cannot be told.
+ */
+async function findBatchErrors(db, tableName, operations, message) {
+  if (message.includes('ON CONFLICT clause does not match')) {
+    return operations
+      .map((operation, index) => ({ operation, index }))
+      .filter(({ operation }) => operation.op === 'upsert' && (operation.on || 'c1') === 'c1')
+      .map(({ index }) => ({ index, message: "Upsert by c1 requires a UNIQUE 'c1' column. Create the table with c1Unique: true." }));
+  }
+  const match = message.match(/UNIQUE constraint failed: ([\w.]+(?:, [\w.]+)*)/);
+  const columns = match ? match[1].split(', ').map(column => column.split('.').pop()) : [];
+  const column = columns[0];
+  if (columns.length !== 1 || (column !== 'id' && !checkColumnValid(column))) {
+    return [];
+  }
+
+  const errors = [];
+  const writes = [];
+  const firstWriter = new Map();
+  operations.forEach((operation, index) => {
+    const value = operation.data ? operation.data[column] : undefined;
+    // An upsert on the constrained column updates the row holding the value instead of failing
+    if (value === undefined || value === null || (operation.op === 'upsert' && (operation.on || 'c1') === column)) {
+      return;
     }
-    
-    // Handle table creation endpoint: /api/create-table
-    if (pathSegments[1] === 'create-table' && method === 'POST') {
-      if (!auth.canWrite) {
-        return jsonResponse(1, 'Forbidden: Write access required to create tables.', null, 403);
-      }
-      try {
-        const { tableName, c1Unique } = await request.json();
-        if (!tableName) {
-          return jsonResponse(1, 'tableName is required.', null, 400);
-        }
-        const createResult = await createTable(env.DB, tableName, c1Unique);
-        if (createResult.every(r => r.success)) {
-          return jsonResponse(0, null, { message: `Table '${tableName}' created successfully with initial data.`, results: createResult }, 201);
-        } else {
-          return jsonResponse(1, 'Failed to create table or insert initial data. Some operations failed.', createResult, 500);
-        }
-      } catch (error) {
-        console.error('Error in create-table endpoint:', error);
-        return jsonResponse(1, 'Internal server error during table creation.', { details: error.message }, 500);
+    const key = `${typeof value}:${value}`;
+    if (firstWriter.has(key)) {
+      errors.push({ index, message: `'${column}' ${JSON.stringify(value)} is also written by operation ${firstWriter.get(key)}.` });
+      return;
+    }
+    firstWriter.set(key, index);
+    writes.push({ index, value, id: operation.op === 'update' ? operation.id : null });
+  });
+
+  for (let start = 0; start < writes.length; start += LOOKUP_CHUNK_SIZE) {
+    const chunk = writes.slice(start, start + LOOKUP_CHUNK_SIZE);
+    const { results } = await db.prepare(`SELECT id, ${column} AS value FROM ${tableName} WHERE ${column} IN (${chunk.map(() => '?').join(', ')});`)
+      .bind(...chunk.map(write => write.value)).all();
+    for (const write of chunk) {
+      const holder = results.find(row => row.value === write.value && row.id !== write.id);
+      if (holder) {
+        errors.push({ index: write.index, message: `Record ${holder.id} already has '${column}' ${JSON.stringify(write.value)}.` });
       }
     }
+  }
+  return errors.sort((a, b) => a.index - b.index);
+}
 
-    // --- Data CRUD & Querying Endpoints ---
+/**
+ * Returns the maximum number of operations accepted by the batch endpoint.
+ * @param {Env} env - The environment variables (optional `BATCH_MAX_SIZE`).
+ * @returns {number}
+ */
+function getBatchMaxSize(env) {
+  const configured = parseInt(env.BATCH_MAX_SIZE);
+  return configured > 0 ? configured : BATCH_DEFAULT_MAX_SIZE;
+}
 
-    // For CRUD operations, the path should be like /api/:tableName/records or /api/:tableName/records/:id
-    // or /api/:tableName/count or /api/:tableName/max_id
-    const tableName = pathSegments[1]; // The table name is the second segment after 'api'
-    const resource = pathSegments[2];   // 'records', 'count', or 'max_id'
-    const id = pathSegments[3] ? parseInt(pathSegments[3]) : null; // ID if present for /records/:id
+/**
+ * Splits CSV text into records (RFC 4180: quoted fields may contain commas, quotes and line breaks).
+ * Blank lines are skipped.
+ * @param {string} text - The CSV text.
+ * @returns {Array<{line: number, fields: string[]}>} Each record with the line number it starts on.
+ */
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
 
-    if (!tableName || (resource !== 'records' && resource !== 'count' && resource !== 'max_id')) {
-        return jsonResponse(1, 'Invalid API path. Expected /api/:tableName/records, /api/create-table, /api/tables, /api/:tableName/count, or /api/:tableName/max_id.', null, 404);
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: startLine, fields });
     }
+    fields = [];
+    field = '';
+  };
 
-    // Handle /api/:tableName/count endpoint
-    if (resource === 'count' && method === 'GET') {
-      if (!auth.canRead) {
-        return jsonResponse(1, 'Forbidden: Read access required to count records.', null, 403);
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') {
+          line++;
+        }
+        field += ch;
       }
-      try {
-        const minId = url.searchParams.has('min_id') ? parseInt(url.searchParams.get('min_id')) : undefined;
-        const maxId = url.searchParams.has('max_id') ? parseInt(url.searchParams.get('max_id')) : undefined; // This maxId is for filtering, not the function call
-        const count = await countRecords(env.DB, tableName, { minId, maxId });
-        return jsonResponse(0, null, { count: count });
-      } catch (error) {
-        console.error(`Error in /api/${tableName}/count endpoint:`, error);
-        return jsonResponse(1, 'Internal server error while counting records.', { details: error.message }, 500);
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') {
+        i++;
       }
+      endRecord();
+      line++;
+      startLine = line;
+    } else {
+      field += ch;
     }
+  }
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${startLine}.`);
+  }
+  endRecord();
+  return records;
+}
+
+/**
+ * Parses an import body into rows. CSV needs a header row naming the columns; empty CSV
+ * fields become null. NDJSON needs one JSON object per line. Rows that cannot be parsed
+ * are returned as errors rather than failing the whole import.
+ *
+ * @param {string} text - The request body.
+ * @param {'csv' | 'ndjson'} format - The body format.
+ * @returns {{rows: Array<{line: number, data: object}>, errors: Array<{line: number, reason: string}>}}
+ */
+function parseImportBody(text, format) {
+  const rows = [];
+  const errors = [];
+  text = text.replace(/^\uFEFF/, '');
 
-    // Handle /api/:tableName/max_id endpoint
-    if (resource === 'max_id' && method === 'GET') {
-      if (!auth.canRead) {
-        return jsonResponse(1, 'Forbidden: Read access required to get max ID.', null, 403);
+  if (format === 'csv') {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+      throw new Error('CSV body is empty.');
+    }
+    const columns = header.fields.map(column => column.trim());
+    const invalidColumns = columns.filter(column => column !== 'id' && !checkColumnValid(column));
+    if (invalidColumns.length > 0) {
+      throw new Error(`Invalid column name(s) in CSV header: ${invalidColumns.join(', ')}`);
+    }
+    if (new Set(columns).size !== columns.length) {
+      throw new Error('Duplicate columns in CSV header.');
+    }
+    for (const { line, fields } of records) {
+      if (fields.length !== columns.length) {
+        errors.push({ line, reason: `Expected ${columns.length} fields, got ${fields.length}.` });
+        continue;
+      }
+      const data = {};
+      columns.forEach((column, index) => {
+        const value = fields[index];
+        data[column] = value === '' ? null : (column === 'id' ? Number(value) : value);
+      });
+      rows.push({ line, data });
+    }
+  } else {
+    text.split('\n').forEach((rawLine, index) => {
+      if (rawLine.trim() === '') {
+        return;
       }
       try {
-        const maxIdValue = await getMaxId(env.DB, tableName);
-        return jsonResponse(0, null, { max_id: maxIdValue });
+        rows.push({ line: index + 1, data: JSON.parse(rawLine) });
       } catch (error) {
-        console.error(`Error in /api/${tableName}/max_id endpoint:`, error);
-        return jsonResponse(1, 'Internal server error while getting max ID.', { details: error.message }, 500);
+        errors.push({ line: index + 1, reason: `Invalid JSON: ${error.message}` });
       }
+    });
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Checks one import row before anything is written.
+ * @param {any} data - The row data.
+ * @param {'insert' | 'upsert' | 'replace'} mode - The import mode.
+ * @param {object | null} scope - The row scope (see `getRowScope`).
+ * @returns {string | null} The reason the row is rejected, or null if it is valid.
+ */
+function validateImportRow(data, mode, scope) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return 'Row must be a JSON object.';
+  }
+  if (Object.keys(data).length === 0) {
+    return 'No fields provided.';
+  }
+  const invalidColumns = findInvalidColumns(data, mode !== 'upsert');
+  if (invalidColumns.length > 0) {
+    return `Invalid column name(s): ${invalidColumns.join(', ')}`;
+  }
+  if (data.id !== undefined && data.id !== null && !checkUserIdValid(data.id)) {
+    return `Explicit id must be an integer greater than ${RESERVED_MAX_ID}; ids 1-${RESERVED_MAX_ID} are reserved.`;
+  }
+  if (mode === 'upsert' && (data.c1 === undefined || data.c1 === null)) {
+    return "Upsert requires a non-null 'c1'.";
+  }
+  if (isForeignOwner(data, scope)) {
+    return `'${scope.owner.column}' is the owner column and can only hold your own identity.`;
+  }
+  return null;
+}
+
+/**
+ * Writes validated import rows in chunks of IMPORT_CHUNK_SIZE, one `db.batch()` (transaction) per chunk.
+ * When a chunk is rejected by the database, its rows are retried one by one so that only
+ * the offending rows fail. In `replace` mode the delete (or trash, in soft-delete mode) and all
+ * rows run as a single transaction (the caller caps the row count), and any rejected row
+ * aborts the whole import.
+ *
+ * `changes` lists the written records for webhooks. With `readDeleted`, the rows a replace
+ * removes are read in the same transaction and listed as deletes too.
+ *
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table to import into.
+ * @param {Array<{line: number, data: object}>} rows - Rows that passed `validateImportRow`.
+ * @param {object} options
+ * @param {'insert' | 'upsert' | 'replace'} options.mode - The import mode.
+ * @param {object | null} [options.scope] - Optional row scope (see `getRowScope`).
+ * @param {object | null} [options.audit] - Audit context (see `createAuditContext`).
+ * @param {boolean} [options.readDeleted=false] - Read the rows a replace removes.
+ * @returns {Promise<{inserted: number, updated: number, deleted: number, errors: Array<{line: number, reason: string}>, changes: Array<object>}>}
+ */
+async function importRecords(db, tableName, rows, options) {
+  const { mode, scope = null, audit = null, readDeleted = false } = options;
+  const summary = { inserted: 0, updated: 0, deleted: 0, errors: [], changes: [] };
+  // Statements that run before the first chunk, and the index of the delete among them
+  let prelude = [];
+  let preludeIndex = 0;
+  if (mode === 'replace') {
+    const change = { operation: 'delete', where: scopedWhere('1 = 1', [], scope) };
+    ({ statements: prelude, writeIndex: preludeIndex } = withAudit(db, tableName, audit, change, [prepareDeleteStatement(db, tableName, null, scope)]));
+    if (readDeleted) {
+      prelude.unshift(db.prepare(`SELECT * FROM ${tableName}${scope ? ` WHERE ${scope.sql}` : ''};`).bind(...(scope ? scope.params : [])));
+      preludeIndex++;
+    }
+  }
+  const chunkSize = mode === 'replace' ? Math.max(rows.length, 1) : IMPORT_CHUNK_SIZE;
+
+  const prepareRow = data => {
+    data = stampOwner(data, scope);
+    if (mode !== 'upsert') {
+      return withAudit(db, tableName, audit, { operation: 'insert' }, [prepareInsertStatement(db, tableName, data)]);
+    }
+    return withAudit(db, tableName, audit, { operation: 'upsert', where: scopedWhere('c1 = ?', [data.c1], scope) }, [
+      db.prepare(`SELECT id FROM ${tableName} WHERE c1 = ?${scope ? ` AND ${scope.sql}` : ''};`).bind(data.c1, ...(scope ? scope.params : [])),
+      prepareUpsertStatement(db, tableName, data, 'c1', scope),
+    ]);
+  };
+
+  // Adds the outcome of one row's statements to the summary
+  const tally = (line, results) => {
+    if (mode !== 'upsert') {
+      summary.inserted++;
+      summary.changes.push({ operation: 'insert', id: results[0].meta.last_row_id });
+    } else if (results[1].results.length === 0) {
+      summary.errors.push({ line, reason: 'A row with this c1 exists but is not accessible (another owner, or in the trash).' });
+    } else if (results[0].results.length === 0) {
+      summary.inserted++;
+      summary.changes.push({ operation: 'insert', id: results[1].results[0].id });
+    } else {
+      summary.updated++;
+      summary.changes.push({ operation: 'update', id: results[1].results[0].id });
     }
+  };
 
-    // Handle /api/:tableName/index/:indexName endpoint (Drop Index)
-    if (resource === 'index' && method === 'DELETE' && pathSegments.length === 4) {
-      if (!auth.canWrite) {
-        return jsonResponse(1, 'Forbidden: Write access required to drop indexes.', null, 403);
+  for (let start = 0; start < rows.length || prelude.length > 0; start += chunkSize) {
+    const chunk = rows.slice(start, start + chunkSize).map(row => ({ ...row, ...prepareRow(row.data) }));
+    const statements = [...prelude, ...chunk.flatMap(row => row.statements)];
+    try {
+      const results = await db.batch(statements);
+      if (prelude.length > 0) {
+        summary.deleted = results[preludeIndex].meta.changes;
+        if (readDeleted) {
+          summary.changes.push(...results[0].results.map(record => ({ operation: 'delete', id: record.id, record })));
+        }
       }
-      const indexName = pathSegments[3];
-      if (!indexName) {
-        return jsonResponse(1, 'Index name is required to drop an index.', null, 400);
+      let offset = prelude.length;
+      for (const row of chunk) {
+        tally(row.line, results.slice(offset + row.writeIndex, offset + row.statements.length));
+        offset += row.statements.length;
       }
-      try {
-        const dropIndexResult = await dropIndex(env.DB, tableName, indexName);
-        if (dropIndexResult.success) {
-          return jsonResponse(0, null, { message: `Index '${indexName}' from table '${tableName}' dropped successfully.`, results: dropIndexResult });
-        } else {
-          return jsonResponse(1, 'Failed to drop index.', { details: dropIndexResult.error }, 500);
-        }
-      } catch (error) {
-        console.error(`Error in /api/${tableName}/index/${indexName} endpoint:`, error);
-        return jsonResponse(1, 'Internal server error during index drop.', { details: error.message }, 500);
-      }
-    }
-
-    // If resource is 'records', proceed with CRUD
-    if (resource === 'records') {
-        switch (method) {
-            case 'POST': // Insert
-                if (!auth.canWrite) {
-                    return jsonResponse(1, 'Forbidden: Write access required to insert records.', null, 403);
-                }
-                const newData = await request.json();
-                const insertResult = await insertRecord(env.DB, tableName, newData);
-                if (insertResult.success) {
-                    return jsonResponse(0, null, { message: 'Record created successfully', id: insertResult.meta.last_row_id }, 201);
-                } else {
-                    return jsonResponse(1, 'Failed to create record', { details: insertResult.error }, 500);
-                }
-
-            case 'GET': // Read
-                if (!auth.canRead) {
-                    return jsonResponse(1, 'Forbidden: Read access required.', null, 403);
-                }
-                if (id) {
-                    const records = await getRecordById(env.DB, tableName, id); // Returns an array
-                    if (records.length > 0) {
-                        return jsonResponse(0, null, records);
-                    } else {
-                        return jsonResponse(1, 'Record not found.', [], 404); // Return empty array in data for consistency
-                    }
-                } else if (url.searchParams.has('c1')) {
-                    const c1Value = url.searchParams.get('c1');
-                    const records = await getRecordsByC1(env.DB, tableName, c1Value);
-                    return jsonResponse(0, null, records);
-                } else {
-                    // Handle requests with min_id, limit, offset, or no parameters
-                    const minId = url.searchParams.has('min_id') ? parseInt(url.searchParams.get('min_id')) : undefined;
-                    const maxIdParam = url.searchParams.has('max_id') ? parseInt(url.searchParams.get('max_id')) : undefined; // This maxId is for filtering records
-                    const limit = url.searchParams.has('limit') ? parseInt(url.searchParams.get('limit')) : undefined;
-                    const offset = url.searchParams.has('offset') ? parseInt(url.searchParams.get('offset')) : undefined;
-                    const order = url.searchParams.get('order');
-                    const orderby = url.searchParams.get('orderby');
-
-                    if (minId !== undefined || maxIdParam !== undefined || limit !== undefined || offset !== undefined || order !== undefined || orderby !== undefined) {
-                        const records = await getRecordsWithOptions(env.DB, tableName, { minId, maxId: maxIdParam, limit, offset, order, orderby });
-                        return jsonResponse(0, null, records);
-                    } else {
-                        // If no specific ID, c1, or new options, return all records
-                        const allRecords = await getAllRecords(env.DB, tableName);
-                        return jsonResponse(0, null, allRecords);
-                    }
-                }
-
-            case 'PUT': // Update
-                if (!auth.canWrite) {
-                    return jsonResponse(1, 'Forbidden: Write access required to update records.', null, 403);
-                }
-                if (!id) {
-                    return jsonResponse(1, 'Record ID is required for update.', null, 400);
-                }
-                const updateData = await request.json();
-                const updateResult = await updateRecord(env.DB, tableName, id, updateData);
-                if (updateResult.success) {
-                    return jsonResponse(0, null, { message: 'Record updated successfully', changes: updateResult.changes});
-                } else {
-                    return jsonResponse(1, 'Failed to update record', { details: updateResult.error }, 500);
-                }
-
-            case 'DELETE': // Delete
-                if (!auth.canWrite) {
-                    return jsonResponse(1, 'Forbidden: Write access required to delete records.', null, 403);
-                }
-                if (!id) {
-                    return jsonResponse(1, 'Record ID is required for delete.', null, 400);
-                }
-                const deleteResult = await deleteRecord(env.DB, tableName, id);
-                if (deleteResult.success) {
-                    if (deleteResult.meta.changes > 0) {
-                        return jsonResponse(0, null, { message: 'Record deleted successfully' });
-                    } else {
-                        return jsonResponse(1, 'Record not found or already deleted.', null, 404);
-                    }
-                } else {
-                    return jsonResponse(1, 'Failed to delete record', { details: deleteResult.error }, 500);
-                }
-
-            default:
-                return jsonResponse(1, 'Method not allowed.', null, 405);
+    } catch (error) {
+      if (mode === 'replace' || error.message.includes('ON CONFLICT clause does not match')) {
+        throw error;
+      }
+      // Retry row by row to find the rows the database rejects
+      for (const row of chunk) {
+        try {
+          tally(row.line, (await db.batch(row.statements)).slice(row.writeIndex));
+        } catch (rowError) {
+          summary.errors.push({ line: row.line, reason: rowError.message });
         }
+      }
     }
+    prelude = [];
+  }
 
-    return jsonResponse(1, 'Invalid API path.', null, 404);
-  },
-};
+  return summary;
+}
 
+/**
+ * Lists all user-defined tables in the D1 database.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {boolean} [includeSystem=false] - Whether to include system tables (`__DA_*`).
+ * @returns {Promise<string[]>} An array of table names.
+ */
+async function listTables(db, includeSystem = false) {
+  try {
+    // Query sqlite_master to get user-defined table names
+    const query = `SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE 'cf_%';`;
+    const { results } = await db.prepare(query).all();
+    // Extract just the table names from the results
+    return results.map(row => row.name).filter(name => includeSystem || !isSystemTable(name));
+  } catch (error) {
+    console.error('Error listing tables:', error);
+    throw new Error(`Failed to list tables: ${error.message}`);
+  }
+}
 
-function checkColumnValid(key) {
-  const validColumns = [
-    'c1', 'c2', 'c3',
-    'i1', 'i2', 'i3',
-    'd1', 'd2', 'd3',
-    't1', 't2', 't3',
-    'v1', 'v2', 'v3'
-  ];
-  return validColumns.includes(key);
+/**
+ * Drops (deletes) a table from the database.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table to drop.
+ * @returns {Promise<D1Result>} The result of the drop operation.
+ */
+async function dropTable(db, tableName) {
+  try {
+    const query = `DROP TABLE IF EXISTS ${tableName};`;
+    const result = await db.prepare(query).run();
+    return result;
+  } catch (error) {
+    console.error(`Error dropping table ${tableName}:`, error);
+    throw new Error(`Failed to drop table: ${error.message}`);
+  }
+}
+
+/**
+ * Counts the number of records in a table with optional min_id and max_id filters.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table to count from.
+ * @param {object} [options={}] - An object containing optional query parameters.
+ * @param {number} [options.minId] - Minimum ID value (id > minId).
+ * @param {number} [options.maxId] - Maximum ID value (id < maxId).
+ * @param {{sql: string, params: Array<any>} | null} [options.scope] - Optional row scope (see `getRowScope`).
+ * @returns {Promise<number>} The count of matching records.
+ */
+async function countRecords(db, tableName, options = {}) {
+  try {
+    let query = `SELECT COUNT(id) AS count FROM ${tableName}`;
+    const params = [];
+    const conditions = [];
+
+    if (options.minId !== undefined && options.minId !== null) {
+      conditions.push(`id > ?`);
+      params.push(options.minId);
+    }
+    if (options.maxId !== undefined && options.maxId !== null) {
+      conditions.push(`id < ?`);
+      params.push(options.maxId);
+    }
+    if (options.scope) {
+      conditions.push(options.scope.sql);
+      params.push(...options.scope.params);
+    }
+
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    const { results } = await db.prepare(query).bind(...params).all();
+    return results.length > 0 ? results[0].count : 0;
+  } catch (error) {
+    console.error(`Error counting records from table ${tableName} with options:`, error);
+    throw new Error(`Failed to count records: ${error.message}`);
+  }
+}
+
+/**
+ * Gets the maximum ID from a specified table.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table to query.
+ * @param {{sql: string, params: Array<any>} | null} [scope=null] - Optional row scope (see `getRowScope`).
+ * @returns {Promise<number | null>} The maximum ID, or null if the table is empty.
+ */
+async function getMaxId(db, tableName, scope = null) {
+  try {
+    const query = `SELECT MAX(id) AS max_id FROM ${tableName}${scope ? ` WHERE ${scope.sql}` : ''};`;
+    const { results } = await db.prepare(query).bind(...(scope ? scope.params : [])).all();
+    // D1 returns results as an array of objects.
+    // If the table is empty, MAX(id) returns null.
+    return results.length > 0 && results[0].max_id !== null ? results[0].max_id : null;
+  } catch (error) {
+    console.error(`Error getting max ID from table ${tableName}:`, error);
+    throw new Error(`Failed to get max ID: ${error.message}`);
+  }
+}
+
+
+/**
+ * Parses the query parameters of the aggregate endpoint.
+ *
+ * - `metrics=count,sum:i1,avg:d2` → `count`, `sum_i1`, `avg_d2` (default: `count`)
+ * - `group_by=c2,v1:month`        → groups by c2 and by the month of v1 (`c2`, `v1_month`)
+ * - `limit=100`                   → maximum number of groups
+ *
+ * @param {URLSearchParams} searchParams - The request query parameters.
+ * @returns {{metrics: Array<{fn: string, column: string | null, alias: string}>,
+ *   groupBy: Array<{expression: string, alias: string}>, limit: number}}
+ */
+function parseAggregateParams(searchParams) {
+  const metricsParam = searchParams.get('metrics') || 'count';
+  const metrics = [];
+  for (const item of metricsParam.split(',')) {
+    const [fn, column = null, ...rest] = item.trim().split(':');
+    if (!AGGREGATE_FUNCTIONS.includes(fn) || rest.length > 0) {
+      throw new Error(`Invalid metric '${item}'. Use count or <fn>:<column> with fn one of: ${AGGREGATE_FUNCTIONS.join(', ')}`);
+    }
+    if (fn === 'count' && column === null) {
+      metrics.push({ fn, column, alias: 'count' });
+      continue;
+    }
+    if (!AGGREGATE_NUMERIC_COLUMNS.includes(column)) {
+      throw new Error(`Invalid metric '${item}': column must be one of ${AGGREGATE_NUMERIC_COLUMNS.join(', ')}`);
+    }
+    metrics.push({ fn, column, alias: `${fn}_${column}` });
+  }
+
+  const groupBy = [];
+  if (searchParams.get('group_by')) {
+    const items = searchParams.get('group_by').split(',');
+    if (items.length > AGGREGATE_MAX_GROUP_BY) {
+      throw new Error(`At most ${AGGREGATE_MAX_GROUP_BY} group_by columns are allowed.`);
+    }
+    for (const item of items) {
+      const [column, bucket, ...rest] = item.trim().split(':');
+      if (!checkColumnValid(column) || rest.length > 0) {
+        throw new Error(`Invalid group_by column '${item}'.`);
+      }
+      if (bucket === undefined) {
+        groupBy.push({ expression: column, alias: column });
+        continue;
+      }
+      if (!AGGREGATE_DATE_COLUMNS.includes(column) || !Object.hasOwn(AGGREGATE_DATE_BUCKETS, bucket)) {
+        throw new Error(`Invalid group_by '${item}'. Date buckets (${Object.keys(AGGREGATE_DATE_BUCKETS).join(', ')}) apply to ${AGGREGATE_DATE_COLUMNS.join(', ')} only.`);
+      }
+      groupBy.push({ expression: AGGREGATE_DATE_BUCKETS[bucket](column), alias: `${column}_${bucket}` });
+    }
+  }
+
+  const aliases = [...metrics, ...groupBy].map(item => item.alias);
+  if (new Set(aliases).size !== aliases.length) {
+    throw new Error('Duplicate metrics or group_by columns.');
+  }
+
+  let limit = AGGREGATE_DEFAULT_LIMIT;
+  if (searchParams.has('limit')) {
+    limit = parseInt(searchParams.get('limit'));
+    if (!(limit > 0 && limit <= AGGREGATE_MAX_LIMIT)) {
+      throw new Error(`'limit' must be between 1 and ${AGGREGATE_MAX_LIMIT}.`);
+    }
+  }
+
+  return { metrics, groupBy, limit };
+}
+
+/**
+ * Computes aggregates over a table, optionally grouped. Groups are returned in ascending group order.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table to aggregate.
+ * @param {object} options - The parsed aggregate parameters (see `parseAggregateParams`).
+ * @param {object} [options.filter] - A filter object as returned by `parseFilterParams`.
+ * @param {{sql: string, params: Array<any>} | null} [options.scope] - Optional row scope (see `getRowScope`).
+ * @returns {Promise<Array<object>>} One row per group (a single row without `group_by`).
+ */
+async function aggregateRecords(db, tableName, options) {
+  try {
+    const { metrics, groupBy, limit } = options;
+    const selects = [
+      ...groupBy.map(g => `${g.expression} AS ${g.alias}`),
+      ...metrics.map(m => `${m.fn.toUpperCase()}(${m.column || '*'}) AS ${m.alias}`),
+    ];
+    let query = `SELECT ${selects.join(', ')} FROM ${tableName}`;
+
+    const filterClause = buildFilterClause(options.filter);
+    const conditions = [...filterClause.conditions];
+    const params = [...filterClause.params];
+    if (options.scope) {
+      conditions.push(options.scope.sql);
+      params.push(...options.scope.params);
+    }
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    if (groupBy.length > 0) {
+      const aliases = groupBy.map(g => g.alias).join(', ');
+      query += ` GROUP BY ${aliases} ORDER BY ${aliases} LIMIT ?`;
+      params.push(limit);
+    }
+
+    const { results } = await db.prepare(query + ';').bind(...params).all();
+    return results;
+  } catch (error) {
+    console.error(`Error aggregating records from table ${tableName}:`, error);
+    throw new Error(`Failed to aggregate records: ${error.message}`);
+  }
+}
+
+/**
+ * Drops a specific index from a table.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table the index belongs to.
+ * @param {string} indexName - The name of the index to drop.
+ * @returns {Promise<D1Result>} The result of the drop index operation.
+ */
+async function dropIndex(db, tableName, indexName) {
+  try {
+    // SQLite's DROP INDEX syntax does not explicitly reference the table name in the ON clause,
+    // but typically indexes are uniquely named within a database.
+    // It's good practice to ensure the index exists before trying to drop it.
+    const query = `DROP INDEX IF EXISTS ${indexName};`;
+    const result = await db.prepare(query).run();
+    return result;
+  } catch (error) {
+    console.error(`Error dropping index ${indexName} from table ${tableName}:`, error);
+    throw new Error(`Failed to drop index: ${error.message}`);
+  }
+}
+
+/**
+ * Lists the indexes of a table with their columns, uniqueness and partial filter.
+ * Includes the automatic indexes SQLite creates for UNIQUE constraints.
+ *
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table (already validated).
+ * @returns {Promise<Array<{name: string, columns: string[], unique: boolean, partial: boolean, origin: string, sql: string | null}>>}
+ */
+async function listIndexes(db, tableName) {
+  try {
+    const { results: indexList } = await db.prepare(`PRAGMA index_list(${tableName});`).all();
+    const { results: definitions } = await db.prepare(`SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ?;`).bind(tableName).all();
+    const sqlByName = new Map(definitions.map(row => [row.name, row.sql]));
+
+    const indexes = [];
+    for (const index of indexList) {
+      const { results: columns } = await db.prepare(`PRAGMA index_info(${index.name});`).all();
+      indexes.push({
+        name: index.name,
+        columns: columns.sort((a, b) => a.seqno - b.seqno).map(col => col.name),
+        unique: index.unique === 1,
+        partial: index.partial === 1,
+        origin: index.origin, // 'c' = CREATE INDEX, 'u' = UNIQUE constraint, 'pk' = PRIMARY KEY
+        sql: sqlByName.get(index.name) || null,
+      });
+    }
+    return indexes;
+  } catch (error) {
+    console.error(`Error listing indexes of table ${tableName}:`, error);
+    throw new Error(`Failed to list indexes: ${error.message}`);
+  }
+}
+
+/**
+ * Validates an index definition from a request body.
+ *
+ * Body: { "columns": ["i1", "c2"], "name"?: "idx_...", "unique"?: false, "where"?: { "c3": { "isnull": false } } }
+ * `where` makes a partial index; its values are rendered as SQL literals because DDL cannot take bound params.
+ *
+ * @param {string} tableName - The table the index is for.
+ * @param {any} body - The parsed request body.
+ * @returns {{name: string, columns: string[], unique: boolean, where: string | null}} The validated definition.
+ */
+function parseIndexDefinition(tableName, body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Request body must be a JSON object.');
+  }
+
+  const columns = typeof body.columns === 'string' ? [body.columns] : body.columns;
+  if (!Array.isArray(columns) || columns.length === 0 || columns.length > INDEX_MAX_COLUMNS) {
+    throw new Error(`'columns' must list between 1 and ${INDEX_MAX_COLUMNS} columns.`);
+  }
+  const invalidColumns = columns.filter(col => !checkColumnValid(col));
+  if (invalidColumns.length > 0) {
+    throw new Error(`Invalid column name(s): ${invalidColumns.join(', ')}`);
+  }
+  if (new Set(columns).size !== columns.length) {
+    throw new Error('Duplicate columns in index.');
+  }
+
+  const name = body.name || defaultIndexName(tableName, columns);
+  if (!checkIdentifierValid(name)) {
+    throw new Error(`Invalid index name '${name}'.`);
+  }
+
+  return {
+    name,
+    columns,
+    unique: body.unique === true,
+    where: body.where ? buildPartialIndexCondition(body.where) : null,
+  };
+}
+
+/**
+ * Builds the default name of an index, `idx_<table>_<columns>`. Names over the 64-character identifier
+ * limit are cut short and end in a hash of the full name, so they stay valid and distinct.
+ *
+ * @param {string} tableName - The table the index is for.
+ * @param {string[]} columns - The indexed columns.
+ * @returns {string} The index name.
+ */
+function defaultIndexName(tableName, columns) {
+  const name = `idx_${tableName}_${columns.join('_')}`;
+  if (name.length <= 64) {
+    return name;
+  }
+  // FNV-1a: index creation is synchronous, so crypto.subtle is not an option
+  let hash = 0x811c9dc5;
+  for (const char of name) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193) >>> 0;
+  }
+  return `${name.slice(0, 55)}_${hash.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Renders the WHERE clause of a partial index from `{ column: { op: value } }`.
+ * Only comparison and null-check operators are accepted; values must be numbers, strings or booleans
+ * (stored as 1 / 0, like SQLite does).
+ *
+ * @param {object} where - The partial index condition.
+ * @returns {string} The SQL condition.
+ */
+function buildPartialIndexCondition(where) {
+  if (typeof where !== 'object' || Array.isArray(where) || Object.keys(where).length === 0) {
+    throw new Error("'where' must be an object like { \"c3\": { \"isnull\": false } }.");
+  }
+  const sqlOperators = { eq: '=', ne: '!=', lt: '<', lte: '<=', gt: '>', gte: '>=' };
+  const toLiteral = value => {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return String(value);
+    }
+    if (typeof value === 'string') {
+      return `'${value.replace(/'/g, "''")}'`;
+    }
+    if (typeof value === 'boolean') {
+      return value ? '1' : '0';
+    }
+    throw new Error(`Unsupported value in 'where': ${JSON.stringify(value)}`);
+  };
+
+  const conditions = [];
+  for (const [column, ops] of Object.entries(where)) {
+    if (!checkColumnValid(column)) {
+      throw new Error(`Invalid column name in 'where': ${column}`);
+    }
+    if (ops === null || typeof ops !== 'object' || Array.isArray(ops)) {
+      throw new Error(`'where.${column}' must be an object of operators.`);
+    }
+    for (const [op, value] of Object.entries(ops)) {
+      if (op === 'isnull') {
+        if (typeof value !== 'boolean') {
+          throw new Error(`'isnull' expects true or false.`);
+        }
+        conditions.push(value ? `${column} IS NULL` : `${column} IS NOT NULL`);
+      } else if (sqlOperators[op]) {
+        conditions.push(`${column} ${sqlOperators[op]} ${toLiteral(value)}`);
+      } else {
+        throw new Error(`Invalid operator '${op}' in 'where'. Allowed: ${Object.keys(sqlOperators).join(', ')}, isnull`);
+      }
+    }
+  }
+  return conditions.join(' AND ');
+}
+
+/**
+ * Creates a (optionally unique or partial) index on a table.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The name of the table (already validated).
+ * @param {{name: string, columns: string[], unique: boolean, where: string | null}} definition - From `parseIndexDefinition`.
+ * @returns {Promise<D1Result>} The result of the create index operation.
+ */
+async function createIndex(db, tableName, definition) {
+  try {
+    let query = `CREATE ${definition.unique ? 'UNIQUE ' : ''}INDEX ${definition.name} ON ${tableName}(${definition.columns.join(', ')})`;
+    if (definition.where) {
+      query += ` WHERE ${definition.where}`;
+    }
+    const result = await db.prepare(`${query};`).run();
+    return result;
+  } catch (error) {
+    console.error(`Error creating index ${definition.name} on table ${tableName}:`, error);
+    throw new Error(`Failed to create index: ${error.message}`);
+  }
+}
+
+/**
+ * Validates the body of a create-key request.
+ *
+ * Body: { "name"?: "...", "tables": ["orders", "app_*"], "operations": ["read", "insert"],
+ *         "expires_at"?: "2030-01-01T00:00:00Z" | "expires_in_days"?: 30 }
+ *
+ * @param {any} body - The parsed request body.
+ * @returns {{name: string | null, tables: string[], operations: string[], expiresAt: string | null}}
+ */
+function parseApiKeyDefinition(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Request body must be a JSON object.');
+  }
+  const { name = null, tables, operations } = body;
+
+  if (name !== null && (typeof name !== 'string' || name.length > 100)) {
+    throw new Error("'name' must be a string of at most 100 characters.");
+  }
+  if (!Array.isArray(tables) || tables.length === 0) {
+    throw new Error("'tables' must be a non-empty array of table names or prefixes (e.g. \"app_*\", or \"*\" for all).");
+  }
+  for (const pattern of tables) {
+    if (typeof pattern !== 'string' || !TABLE_PATTERN.test(pattern)) {
+      throw new Error(`Invalid table pattern '${pattern}'.`);
+    }
+    if (isSystemTable(pattern.replace(/\*$/, '')) && pattern !== '*') {
+      throw new Error(`System tables cannot be granted to API keys: '${pattern}'.`);
+    }
+  }
+  if (!Array.isArray(operations) || operations.length === 0 || operations.some(op => !KEY_OPERATIONS.includes(op))) {
+    throw new Error(`'operations' must be a non-empty array of: ${KEY_OPERATIONS.join(', ')}`);
+  }
+
+  let expiresAt = null;
+  if (body.expires_at !== undefined && body.expires_in_days !== undefined) {
+    throw new Error("Use either 'expires_at' or 'expires_in_days', not both.");
+  }
+  if (body.expires_at !== undefined) {
+    const time = Date.parse(body.expires_at);
+    if (Number.isNaN(time) || time <= Date.now()) {
+      throw new Error("'expires_at' must be a valid date in the future.");
+    }
+    expiresAt = toSqlTimestamp(time);
+  } else if (body.expires_in_days !== undefined) {
+    if (typeof body.expires_in_days !== 'number' || !(body.expires_in_days > 0)) {
+      throw new Error("'expires_in_days' must be a positive number.");
+    }
+    expiresAt = toSqlTimestamp(Date.now() + body.expires_in_days * 86400000);
+  }
+
+  return { name, tables: [...new Set(tables)], operations: [...new Set(operations)], expiresAt };
+}
+
+/**
+ * Formats a millisecond timestamp the way SQLite's CURRENT_TIMESTAMP does (UTC, 'YYYY-MM-DD HH:MM:SS').
+ * @param {number} time - Milliseconds since the epoch.
+ * @returns {string}
+ */
+function toSqlTimestamp(time) {
+  return new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Creates a scoped API key. Only the SHA-256 hash of the secret is stored;
+ * the returned token is shown once and cannot be recovered later.
+ *
+ * @param {D1Database} db - The D1 database instance.
+ * @param {{name: string | null, tables: string[], operations: string[], expiresAt: string | null}} definition - From `parseApiKeyDefinition`.
+ * @returns {Promise<object>} The key metadata plus the `token`.
+ */
+async function createApiKey(db, definition) {
+  try {
+    const randomHex = bytes => [...crypto.getRandomValues(new Uint8Array(bytes))].map(b => b.toString(16).padStart(2, '0')).join('');
+    const keyId = randomHex(8);
+    const secret = btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(32))))
+      .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+    await db.prepare(`
+      INSERT INTO ${DB_DA_API_KEYS_TABLENAME} (key_id, key_hash, name, tables, operations, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?);
+    `).bind(keyId, await sha256Hex(secret), definition.name, JSON.stringify(definition.tables), JSON.stringify(definition.operations), definition.expiresAt).run();
+
+    return {
+      key_id: keyId,
+      token: `${API_KEY_PREFIX}${keyId}_${secret}`,
+      name: definition.name,
+      tables: definition.tables,
+      operations: definition.operations,
+      expires_at: definition.expiresAt,
+    };
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    throw new Error(`Failed to create API key: ${error.message}`);
+  }
+}
+
+/**
+ * Lists all API keys without their secrets.
+ * @param {D1Database} db - The D1 database instance.
+ * @returns {Promise<Array<object>>}
+ */
+async function listApiKeys(db) {
+  try {
+    const { results } = await db.prepare(`
+      SELECT key_id, name, tables, operations, expires_at, revoked_at, created_at
+      FROM ${DB_DA_API_KEYS_TABLENAME} ORDER BY id ASC;
+    `).all();
+    return results.map(row => ({ ...row, tables: JSON.parse(row.tables), operations: JSON.parse(row.operations) }));
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    throw new Error(`Failed to list API keys: ${error.message}`);
+  }
+}
+
+/**
+ * Revokes an API key. Revoked keys stay listed for auditing but no longer authenticate.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} keyId - The public key id.
+ * @returns {Promise<boolean>} True if an active key was revoked.
+ */
+async function revokeApiKey(db, keyId) {
+  try {
+    const result = await db.prepare(`UPDATE ${DB_DA_API_KEYS_TABLENAME} SET revoked_at = CURRENT_TIMESTAMP WHERE key_id = ? AND revoked_at IS NULL;`).bind(keyId).run();
+    return result.meta.changes > 0;
+  } catch (error) {
+    console.error(`Error revoking API key ${keyId}:`, error);
+    throw new Error(`Failed to revoke API key: ${error.message}`);
+  }
+}
+
+/**
+ * Validates and normalizes a table schema: friendly field names mapped to the fixed columns, with a type
+ * and optional rules.
+ *
+ * ```json
+ * { "email": { "column": "c1", "required": true, "max_length": 200 },
+ *   "status": { "column": "i2", "min": 0, "max": 3 },
+ *   "kind": { "column": "c2", "enum": ["a", "b"] },
+ *   "meta": { "column": "t1", "type": "json" } }
+ * ```
+ *
+ * @param {any} value - The `schema` setting.
+ * @returns {object} The schema, with every field's `type` filled in.
+ * @throws {Error} If a field or rule is invalid.
+ */
+function parseTableSchema(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) {
+    throw new Error("'schema' must be a non-empty object of field definitions.");
+  }
+  const schema = {};
+  const mapped = new Set();
+  for (const [field, definition] of Object.entries(value)) {
+    if (!IDENTIFIER_PATTERN.test(field) || field === 'id' || checkColumnValid(field)) {
+      throw new Error(`Invalid field name '${field}': use a letter or underscore followed by letters, digits or underscores, and not a column name.`);
+    }
+    if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error(`Field '${field}' must be an object.`);
+    }
+    const unknown = Object.keys(definition).filter(key => !['column', 'type', 'required', 'max_length', 'enum', 'min', 'max'].includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Field '${field}': unknown rule(s) ${unknown.join(', ')}.`);
+    }
+    const { column } = definition;
+    if (!checkColumnValid(column)) {
+      throw new Error(`Field '${field}': 'column' must be one of c1-c3, i1-i3, d1-d3, t1-t3, v1-v3.`);
+    }
+    if (mapped.has(column)) {
+      throw new Error(`Column '${column}' is mapped by more than one field.`);
+    }
+    mapped.add(column);
+
+    const type = definition.type ?? SCHEMA_DEFAULT_TYPES[column[0]];
+    if (!Object.hasOwn(SCHEMA_FIELD_TYPES, type) || !SCHEMA_FIELD_TYPES[type].includes(column[0])) {
+      throw new Error(`Field '${field}': type '${type}' cannot be stored in column '${column}'.`);
+    }
+    const rule = { column, type };
+    if (definition.required !== undefined) {
+      if (typeof definition.required !== 'boolean') {
+        throw new Error(`Field '${field}': 'required' must be true or false.`);
+      }
+      rule.required = definition.required;
+    }
+    if (definition.max_length !== undefined) {
+      if (!['string', 'json'].includes(type) || !Number.isInteger(definition.max_length) || definition.max_length < 1) {
+        throw new Error(`Field '${field}': 'max_length' must be a positive integer on a string or json field.`);
+      }
+      rule.max_length = definition.max_length;
+    }
+    if (definition.enum !== undefined) {
+      const valueType = type === 'string' ? 'string' : 'number';
+      if (!['string', 'integer', 'number'].includes(type) || !Array.isArray(definition.enum) || definition.enum.length === 0
+        || definition.enum.some(item => typeof item !== valueType)) {
+        throw new Error(`Field '${field}': 'enum' must be a non-empty array of ${valueType}s.`);
+      }
+      rule.enum = definition.enum;
+    }
+    for (const bound of ['min', 'max']) {
+      if (definition[bound] !== undefined) {
+        if (!['integer', 'number'].includes(type) || typeof definition[bound] !== 'number' || !Number.isFinite(definition[bound])) {
+          throw new Error(`Field '${field}': '${bound}' must be a number on an integer or number field.`);
+        }
+        rule[bound] = definition[bound];
+      }
+    }
+    if (rule.min !== undefined && rule.max !== undefined && rule.min > rule.max) {
+      throw new Error(`Field '${field}': 'min' is greater than 'max'.`);
+    }
+    schema[field] = rule;
+  }
+  return schema;
+}
+
+/**
+ * Checks one value against a schema field.
+ * @param {object} rule - The field definition (see `parseTableSchema`).
+ * @param {any} value - The value sent by the client.
+ * @returns {string | null} The error message, or null if the value is valid.
+ */
+function validateSchemaValue(rule, value) {
+  if (value === null) {
+    return rule.required ? 'is required' : null;
+  }
+  let length = typeof value === 'string' ? value.length : 0;
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return 'must be a string';
+      }
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        return 'must be an integer';
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return 'must be a number';
+      }
+      break;
+    case 'datetime':
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        return 'must be a date/time string';
+      }
+      break;
+    case 'json':
+      if (typeof value === 'string') {
+        try {
+          JSON.parse(value);
+        } catch {
+          return 'must be valid JSON';
+        }
+      } else {
+        length = JSON.stringify(value).length;
+      }
+      break;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of: ${rule.enum.join(', ')}`;
+  }
+  if (rule.max_length !== undefined && length > rule.max_length) {
+    return `must be at most ${rule.max_length} characters`;
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return `must be at least ${rule.min}`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `must be at most ${rule.max}`;
+  }
+  return null;
+}
+
+/**
+ * Translates a request body from schema field names to columns and validates it against the schema.
+ * Raw column names are accepted as well and validated by the field that maps them; unknown keys are
+ * passed through for the usual column check. Values of json fields that are not strings are serialized.
+ *
+ * @param {object | undefined} schema - The `schema` setting of the table, if any.
+ * @param {any} body - The parsed request body.
+ * @param {object} [options={}]
+ * @param {boolean} [options.partial=false] - Only validate the fields present (updates and upserts);
+ * otherwise `required` fields must be given.
+ * @param {boolean} [options.patch=false] - Values may be PATCH operators; only `$setIfNull` operands are validated.
+ * @returns {{data: any, errors: object | null}} The body keyed by column, and the errors keyed by the names the client used.
+ */
+function mapSchemaInput(schema, body, options = {}) {
+  if (!schema || body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { data: body, errors: null };
+  }
+  const data = {};
+  const names = {};
+  const errors = {};
+  for (const [key, value] of Object.entries(body)) {
+    const column = Object.hasOwn(schema, key) ? schema[key].column : key;
+    if (Object.hasOwn(data, column)) {
+      errors[key] = `sets column ${column} again (already set by '${names[column]}')`;
+      continue;
+    }
+    data[column] = value;
+    names[column] = key;
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const name = names[rule.column] || field;
+    if (!Object.hasOwn(data, rule.column)) {
+      if (rule.required && !options.partial) {
+        errors[name] = 'is required';
+      }
+      continue;
+    }
+    let value = data[rule.column];
+    const isOperator = options.patch && value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (isOperator) {
+      if (!Object.hasOwn(value, '$setIfNull')) {
+        continue;
+      }
+      value = value.$setIfNull;
+    }
+    const error = validateSchemaValue(rule, value);
+    if (error) {
+      errors[name] = error;
+    } else if (rule.type === 'json' && value !== null && typeof value !== 'string') {
+      data[rule.column] = isOperator ? { $setIfNull: JSON.stringify(value) } : JSON.stringify(value);
+    }
+  }
+  return { data, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Renames the columns of records to their schema field names, parsing json fields.
+ * @param {object | undefined} schema - The `schema` setting of the table, if any.
+ * @param {Array<object>} records - Rows as read from the table.
+ * @returns {Array<object>}
+ */
+function mapSchemaOutput(schema, records) {
+  if (!schema) {
+    return records;
+  }
+  const fields = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    fields[rule.column] = { field, json: rule.type === 'json' };
+  }
+  return records.map(record => {
+    const mapped = {};
+    for (const [column, value] of Object.entries(record)) {
+      const target = fields[column];
+      if (!target) {
+        mapped[column] = value;
+        continue;
+      }
+      mapped[target.field] = value;
+      if (target.json && typeof value === 'string') {
+        try {
+          mapped[target.field] = JSON.parse(value);
+        } catch {
+          // Written through a raw route before the schema existed; return as stored
+        }
+      }
+    }
+    return mapped;
+  });
+}
+
+/**
+ * Validators for the per-table settings accepted by `PUT /api/:tableName/settings`.
+ * Each one receives the new value (never null; null removes the setting) and returns the value to store.
+ */
+const TABLE_SETTINGS = {
+  // Row-level ownership: rows are stamped with and scoped to the caller's identity
+  owner_column: value => {
+    if (!OWNER_COLUMNS.includes(value)) {
+      throw new Error(`'owner_column' must be one of: ${OWNER_COLUMNS.join(', ')}`);
+    }
+    return value;
+  },
+  // Soft delete: DELETE moves rows to the trash instead of removing them
+  soft_delete: value => {
+    if (typeof value !== 'boolean') {
+      throw new Error("'soft_delete' must be true or false.");
+    }
+    return value;
+  },
+  // Audit log: every change is recorded in __DA_AUDIT_LOG with before/after values
+  audit: value => {
+    if (typeof value !== 'boolean') {
+      throw new Error("'audit' must be true or false.");
+    }
+    return value;
+  },
+  // Friendly field names and validation for the records routes
+  schema: parseTableSchema,
+  // Edge cache: seconds a GET response of records, count or max_id may be served from the cache
+  cache_ttl: value => {
+    if (!Number.isInteger(value) || value < 1 || value > CACHE_MAX_TTL) {
+      throw new Error(`'cache_ttl' must be an integer number of seconds between 1 and ${CACHE_MAX_TTL}.`);
+    }
+    return value;
+  },
+  // Full-text search: the columns indexed for `GET /api/:tableName/search`
+  search_columns: value => {
+    if (!Array.isArray(value) || value.length === 0 || value.some(column => !SEARCH_COLUMNS.includes(column))
+      || new Set(value).size !== value.length) {
+      throw new Error(`'search_columns' must be a non-empty list of distinct columns among: ${SEARCH_COLUMNS.join(', ')}`);
+    }
+    return value;
+  },
+};
+
+/**
+ * Applies a settings patch to the current settings of a table.
+ * @param {object} current - The current settings (from `getTableSettings`).
+ * @param {any} body - The parsed request body, e.g. `{ "owner_column": "c3" }`. A null value removes a setting.
+ * @returns {object} The new settings.
+ */
+function mergeTableSettings(current, body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Request body must be a JSON object.');
+  }
+  const settings = { ...current };
+  for (const [key, value] of Object.entries(body)) {
+    if (!Object.hasOwn(TABLE_SETTINGS, key)) {
+      throw new Error(`Unknown setting '${key}'. Supported: ${Object.keys(TABLE_SETTINGS).join(', ')}`);
+    }
+    if (value === null) {
+      delete settings[key];
+    } else {
+      settings[key] = TABLE_SETTINGS[key](value);
+    }
+  }
+  return settings;
+}
+
+/**
+ * Reads the settings of a table. Tables without settings (or a database without
+ * the system table) have none.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The table name.
+ * @returns {Promise<object>}
+ */
+async function getTableSettings(db, tableName) {
+  return (await getTableState(db, tableName)).settings;
+}
+
+/**
+ * Reads the settings of a table together with its cache version, in one query. The version is the
+ * id of the settings row (new whenever the settings are recreated, e.g. after a drop) and its
+ * generation counter (`i1`, bumped by the cache triggers).
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The table name.
+ * @returns {Promise<{settings: object, cacheVersion: string | null}>} The version is null without settings.
+ */
+async function getTableState(db, tableName) {
+  try {
+    const row = await db.prepare(`SELECT id, i1, t1 FROM ${DB_DA_SYSTEM_TABLENAME} WHERE c1 = ?;`)
+      .bind(TABLE_SETTINGS_KEY_PREFIX + tableName.toLowerCase()).first();
+    if (!row) {
+      return { settings: {}, cacheVersion: null };
+    }
+    return { settings: row.t1 ? JSON.parse(row.t1) : {}, cacheVersion: `${row.id}.${row.i1 || 0}` };
+  } catch (error) {
+    if (error.message.includes('no such table')) {
+      return { settings: {}, cacheVersion: null };
+    }
+    console.error(`Error reading settings of table ${tableName}:`, error);
+    throw new Error(`Failed to read table settings: ${error.message}`);
+  }
+}
+
+/**
+ * Stores the settings of a table, replacing the previous ones. Empty settings remove the row.
+ * Bumps the cache generation, since settings such as the schema change the responses.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The table name.
+ * @param {object} settings - The complete settings object.
+ * @returns {Promise<D1Result>}
+ */
+async function saveTableSettings(db, tableName, settings) {
+  const key = TABLE_SETTINGS_KEY_PREFIX + tableName.toLowerCase();
+  try {
+    if (Object.keys(settings).length === 0) {
+      return await db.prepare(`DELETE FROM ${DB_DA_SYSTEM_TABLENAME} WHERE c1 = ?;`).bind(key).run();
+    }
+    return await db.prepare(`
+      INSERT INTO ${DB_DA_SYSTEM_TABLENAME} (c1, t1) VALUES (?, ?)
+      ON CONFLICT(c1) DO UPDATE SET t1 = excluded.t1, i1 = COALESCE(i1, 0) + 1, v2 = CURRENT_TIMESTAMP;
+    `).bind(key, JSON.stringify(settings)).run();
+  } catch (error) {
+    console.error(`Error saving settings of table ${tableName}:`, error);
+    throw new Error(`Failed to save table settings: ${error.message}`);
+  }
+}
+
+/**
+ * Builds the row scope for a request: the extra WHERE condition that limits reads and writes
+ * to the rows the caller may see.
+ *
+ * - Ownership mode: only callers with an identity (API keys and JWTs) are limited to their own
+ *   rows; the env tokens see every row.
+ * - Soft-delete mode: trashed rows are hidden, or, with `deleted: true`, are the only rows visible.
+ *
+ * @param {object} settings - The table settings.
+ * @param {object} auth - The result of `authenticateRequest`.
+ * @param {object} [options={}]
+ * @param {boolean} [options.deleted=false] - Scope to the trash instead of the live rows.
+ * @returns {{sql: string, params: Array<any>, owner: {column: string, value: string} | null, softDelete: boolean} | null}
+ */
+function getRowScope(settings, auth, options = {}) {
+  const conditions = [];
+  const params = [];
+  let owner = null;
+
+  if (settings.owner_column && auth.identity !== null) {
+    owner = { column: settings.owner_column, value: auth.identity };
+    conditions.push(`${owner.column} = ?`);
+    params.push(owner.value);
+  }
+  if (settings.soft_delete) {
+    conditions.push(options.deleted ? `${SOFT_DELETE_COLUMN} IS NOT NULL` : `${SOFT_DELETE_COLUMN} IS NULL`);
+  }
+
+  if (conditions.length === 0) {
+    return null;
+  }
+  return { sql: conditions.join(' AND '), params, owner, softDelete: Boolean(settings.soft_delete) };
+}
+
+/**
+ * Stamps the owner column on a record that is about to be inserted.
+ * @param {object} data - The record data.
+ * @param {object | null} scope - The row scope (see `getRowScope`).
+ * @returns {object} The data with the owner column set, or the data unchanged outside ownership mode.
+ */
+function stampOwner(data, scope) {
+  return scope && scope.owner ? { ...data, [scope.owner.column]: scope.owner.value } : data;
+}
+
+/**
+ * Checks whether a payload tries to set the owner column to somebody else's identity.
+ * @param {object} data - The record data.
+ * @param {object | null} scope - The row scope (see `getRowScope`).
+ * @returns {boolean}
+ */
+function isForeignOwner(data, scope) {
+  return Boolean(scope && scope.owner) && data[scope.owner.column] !== undefined && data[scope.owner.column] !== scope.owner.value;
+}
+
+/**
+ * Combines a WHERE condition with the row scope.
+ * @param {string} sql - The base condition, e.g. `id = ?`.
+ * @param {Array<any>} params - Its bound parameters.
+ * @param {{sql: string, params: Array<any>} | null} scope - The row scope (see `getRowScope`).
+ * @returns {{sql: string, params: Array<any>}}
+ */
+function scopedWhere(sql, params, scope) {
+  return scope ? { sql: `${sql} AND ${scope.sql}`, params: [...params, ...scope.params] } : { sql, params };
+}
+
+/**
+ * Creates the audit context of a request for a table with the `audit` setting, or null otherwise.
+ * Every change made with it gets the same `request_id` and an increasing `seq`.
+ * @param {object} settings - The table settings.
+ * @param {object} auth - The result of `authenticateRequest`.
+ * @returns {{actor: string, requestId: string, seq: number} | null}
+ */
+function createAuditContext(settings, auth) {
+  return settings.audit ? { actor: auth.keyId, requestId: crypto.randomUUID(), seq: 0 } : null;
+}
+
+/**
+ * Surrounds the statements of one change with the statements that record it in the audit log,
+ * so the entry is written in the same transaction as the change itself:
+ *
+ * - before: snapshots the rows matching `change.where` into new entries (`before_data`)
+ * - after:  fills `after_data` of those entries from the rows as they are now (null once removed)
+ * - insert: a new row is logged from `last_insert_rowid()`; an upsert that inserted is logged
+ *           from the row matching `change.where` when no `before` entry was written
+ *
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The table that is changed.
+ * @param {object | null} audit - Audit context (see `createAuditContext`); null returns the statements unchanged.
+ * @param {{operation: string, where?: {sql: string, params: Array<any>}}} change - The operation
+ * ('insert', 'update', 'upsert', 'delete', 'restore' or 'purge') and the rows it affects.
+ * @param {Array<D1PreparedStatement>} statements - The statements making the change.
+ * @returns {{statements: Array<D1PreparedStatement>, writeIndex: number}} All statements, and the index of the first original one.
+ */
+function withAudit(db, tableName, audit, change, statements) {
+  if (!audit) {
+    return { statements, writeIndex: 0 };
+  }
+  const seq = audit.seq++;
+  const snapshot = `json_object(${EXPORT_COLUMNS.map(column => `'${column}', ${column}`).join(', ')})`;
+  const logColumns = `table_name, record_id, operation, actor, request_id, seq, before_data, after_data`;
+  const entry = [tableName, audit.actor, audit.requestId, seq];
+  const logInsert = `
+    INSERT INTO ${DB_DA_AUDIT_TABLENAME} (${logColumns})
+    SELECT ?, id, ?, ?, ?, ?, NULL, ${snapshot} FROM ${tableName}`;
+
+  if (change.operation === 'insert') {
+    return {
+      statements: [...statements, db.prepare(`${logInsert} WHERE id = last_insert_rowid();`).bind(tableName, 'insert', ...entry.slice(1))],
+      writeIndex: 0,
+    };
+  }
+
+  const { sql, params } = change.where;
+  const before = db.prepare(`
+    INSERT INTO ${DB_DA_AUDIT_TABLENAME} (${logColumns})
+    SELECT ?, id, ?, ?, ?, ?, ${snapshot}, NULL FROM ${tableName} WHERE ${sql};
+  `).bind(tableName, change.operation === 'upsert' ? 'update' : change.operation, ...entry.slice(1), ...params);
+  const after = db.prepare(`
+    UPDATE ${DB_DA_AUDIT_TABLENAME}
+    SET after_data = (SELECT ${snapshot} FROM ${tableName} WHERE ${tableName}.id = ${DB_DA_AUDIT_TABLENAME}.record_id)
+    WHERE request_id = ? AND seq = ?;
+  `).bind(audit.requestId, seq);
+
+  const auditStatements = [before, ...statements, after];
+  if (change.operation === 'upsert') {
+    auditStatements.push(db.prepare(`
+      ${logInsert} WHERE ${sql}
+      AND NOT EXISTS (SELECT 1 FROM ${DB_DA_AUDIT_TABLENAME} WHERE request_id = ? AND seq = ?);
+    `).bind(tableName, 'insert', ...entry.slice(1), ...params, audit.requestId, seq));
+  }
+  return { statements: auditStatements, writeIndex: 1 };
+}
+
+/**
+ * Runs the statements of one change, with audit logging when an audit context is given.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The table that is changed.
+ * @param {object | null} audit - Audit context (see `createAuditContext`).
+ * @param {object} change - See `withAudit`.
+ * @param {Array<D1PreparedStatement>} statements - The statements making the change.
+ * @returns {Promise<Array<D1Result>>} The results of the original statements only.
+ */
+async function runWithAudit(db, tableName, audit, change, statements) {
+  if (!audit && statements.length === 1) {
+    return [await statements[0].run()];
+  }
+  const { statements: allStatements, writeIndex } = withAudit(db, tableName, audit, change, statements);
+  const results = await db.batch(allStatements);
+  return results.slice(writeIndex, writeIndex + statements.length);
+}
+
+/**
+ * Parses the JSON snapshots of audit log rows.
+ * @param {Array<object>} rows - Rows of the audit table.
+ * @returns {Array<object>}
+ */
+function formatAuditEntries(rows) {
+  return rows.map(row => ({
+    ...row,
+    before_data: row.before_data === null ? null : JSON.parse(row.before_data),
+    after_data: row.after_data === null ? null : JSON.parse(row.after_data),
+  }));
+}
+
+/**
+ * Returns the change history of one record, oldest first.
+ * In ownership mode only entries whose snapshot belongs to the caller are returned.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The table name.
+ * @param {number} id - The record id.
+ * @param {object | null} [scope=null] - The row scope (see `getRowScope`); only its owner is used.
+ * @returns {Promise<Array<object>>}
+ */
+async function getRecordHistory(db, tableName, id, scope = null) {
+  try {
+    let query = `SELECT * FROM ${DB_DA_AUDIT_TABLENAME} WHERE table_name = ? AND record_id = ?`;
+    const params = [tableName, id];
+    if (scope && scope.owner) {
+      query += ` AND json_extract(COALESCE(after_data, before_data), ?) = ?`;
+      params.push(`$.${scope.owner.column}`, scope.owner.value);
+    }
+    const { results } = await db.prepare(`${query} ORDER BY id ASC;`).bind(...params).all();
+    return formatAuditEntries(results);
+  } catch (error) {
+    console.error(`Error fetching history of record ${id} in table ${tableName}:`, error);
+    throw new Error(`Failed to fetch record history: ${error.message}`);
+  }
+}
+
+/**
+ * Queries the audit log, newest first.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {URLSearchParams} searchParams - Filters: `table`, `record_id`, `operation`, `actor`,
+ * `request_id`, `since`, `until` (timestamps), `before_id` (paging) and `limit`.
+ * @returns {Promise<{entries: Array<object>, next_before_id: number | null}>}
+ */
+async function queryAuditLog(db, searchParams) {
+  const conditions = [];
+  const params = [];
+  const equalityFilters = { table: 'table_name', record_id: 'record_id', operation: 'operation', actor: 'actor', request_id: 'request_id' };
+  for (const [param, column] of Object.entries(equalityFilters)) {
+    if (searchParams.has(param)) {
+      conditions.push(`${column} = ?`);
+      params.push(param === 'record_id' ? parseInt(searchParams.get(param)) : searchParams.get(param));
+    }
+  }
+  for (const [param, op] of [['since', '>='], ['until', '<']]) {
+    if (searchParams.has(param)) {
+      const time = Date.parse(searchParams.get(param));
+      if (Number.isNaN(time)) {
+        throw new Error(`'${param}' must be a valid date.`);
+      }
+      conditions.push(`created_at ${op} ?`);
+      params.push(toSqlTimestamp(time));
+    }
+  }
+  if (searchParams.has('before_id')) {
+    conditions.push('id < ?');
+    params.push(parseInt(searchParams.get('before_id')));
+  }
+  const limit = Math.min(Math.max(parseInt(searchParams.get('limit')) || AUDIT_DEFAULT_LIMIT, 1), AUDIT_MAX_LIMIT);
+
+  try {
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const { results } = await db.prepare(`SELECT * FROM ${DB_DA_AUDIT_TABLENAME}${where} ORDER BY id DESC LIMIT ?;`).bind(...params, limit).all();
+    return {
+      entries: formatAuditEntries(results),
+      next_before_id: results.length === limit ? results[results.length - 1].id : null,
+    };
+  } catch (error) {
+    console.error('Error querying audit log:', error);
+    throw new Error(`Failed to query audit log: ${error.message}`);
+  }
+}
+
+/**
+ * Validates the body of `POST /api/webhooks`.
+ * @param {any} body - The parsed request body.
+ * @returns {{table: string, url: string, events: string[], secret: string | null}}
+ */
+function parseWebhookDefinition(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Request body must be a JSON object.');
+  }
+  const { table, url, events = WEBHOOK_EVENTS, secret = null } = body;
+
+  if (!checkIdentifierValid(table) || isSystemTable(table)) {
+    throw new Error("'table' must be the name of a user table.");
+  }
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch {
+    throw new Error("'url' must be an absolute http(s) URL.");
+  }
+  if (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:') {
+    throw new Error("'url' must be an absolute http(s) URL.");
+  }
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    throw new Error(`'events' must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  if (secret !== null && (typeof secret !== 'string' || secret.length < 16)) {
+    throw new Error("'secret' must be a string of at least 16 characters.");
+  }
+  return { table: table.toLowerCase(), url: parsedUrl.href, events: [...new Set(events)], secret };
+}
+
+/**
+ * Stores a webhook subscription in the system table. Without a secret, a random one is generated.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {{table: string, url: string, events: string[], secret: string | null}} definition - From `parseWebhookDefinition`.
+ * @returns {Promise<object>} The subscription, including its `secret`.
+ */
+async function createWebhook(db, definition) {
+  try {
+    const id = [...crypto.getRandomValues(new Uint8Array(8))].map(b => b.toString(16).padStart(2, '0')).join('');
+    const secret = definition.secret || [...crypto.getRandomValues(new Uint8Array(32))].map(b => b.toString(16).padStart(2, '0')).join('');
+    const { url, events } = definition;
+    await db.prepare(`INSERT INTO ${DB_DA_SYSTEM_TABLENAME} (c1, c2, t1) VALUES (?, ?, ?);`)
+      .bind(WEBHOOK_KEY_PREFIX + id, definition.table, JSON.stringify({ url, events, secret })).run();
+    return { id, table: definition.table, url, events, secret };
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    throw new Error(`Failed to create webhook: ${error.message}`);
+  }
+}
+
+/**
+ * Reads webhook subscriptions from the system table, optionally only those of one table.
+ * A database without the system table has none.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string | null} [tableName=null] - Only return the subscriptions of this table.
+ * @param {boolean} [includeSecret=false] - Include the signing secrets (for delivery only, never in responses).
+ * @returns {Promise<Array<{id: string, table: string, url: string, events: string[], created_at: string}>>}
+ */
+async function getWebhooks(db, tableName = null, includeSecret = false) {
+  try {
+    // Range over the key prefix, so the lookup uses the UNIQUE index on c1
+    let query = `SELECT c1, c2, t1, v1 FROM ${DB_DA_SYSTEM_TABLENAME} WHERE c1 > ? AND c1 < ?`;
+    const params = [WEBHOOK_KEY_PREFIX, WEBHOOK_KEY_PREFIX.slice(0, -1) + ';'];
+    if (tableName !== null) {
+      query += ' AND c2 = ?';
+      params.push(tableName.toLowerCase());
+    }
+    const { results } = await db.prepare(`${query} ORDER BY id ASC;`).bind(...params).all();
+    return results.map(row => {
+      const { url, events, secret } = JSON.parse(row.t1);
+      const webhook = { id: row.c1.slice(WEBHOOK_KEY_PREFIX.length), table: row.c2, url, events, created_at: row.v1 };
+      return includeSecret ? { ...webhook, secret } : webhook;
+    });
+  } catch (error) {
+    if (error.message.includes('no such table')) {
+      return [];
+    }
+    console.error('Error reading webhooks:', error);
+    throw new Error(`Failed to read webhooks: ${error.message}`);
+  }
+}
+
+/**
+ * Deletes a webhook subscription. Its delivery log is kept.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} id - The webhook id.
+ * @returns {Promise<boolean>} True if the subscription existed.
+ */
+async function deleteWebhook(db, id) {
+  try {
+    const result = await db.prepare(`DELETE FROM ${DB_DA_SYSTEM_TABLENAME} WHERE c1 = ?;`).bind(WEBHOOK_KEY_PREFIX + id).run();
+    return result.meta.changes > 0;
+  } catch (error) {
+    console.error(`Error deleting webhook ${id}:`, error);
+    throw new Error(`Failed to delete webhook: ${error.message}`);
+  }
+}
+
+/**
+ * Returns the waits between webhook delivery attempts, at most WEBHOOK_MAX_RETRIES of them and each
+ * capped at WEBHOOK_MAX_RETRY_DELAY_MS.
+ * @param {Env} env - The environment variables (optional `WEBHOOK_RETRY_DELAYS_MS`, comma-separated).
+ * @returns {number[]}
+ */
+function getWebhookRetryDelays(env) {
+  if (!env.WEBHOOK_RETRY_DELAYS_MS) {
+    return WEBHOOK_RETRY_DELAYS_MS;
+  }
+  const delays = String(env.WEBHOOK_RETRY_DELAYS_MS).split(',').map(delay => parseInt(delay));
+  if (!delays.every(delay => delay >= 0)) {
+    return WEBHOOK_RETRY_DELAYS_MS;
+  }
+  return delays.slice(0, WEBHOOK_MAX_RETRIES).map(delay => Math.min(delay, WEBHOOK_MAX_RETRY_DELAY_MS));
+}
+
+/**
+ * Computes the hex HMAC-SHA256 of a message.
+ * @param {string} secret - The key.
+ * @param {string} message - The message.
+ * @returns {Promise<string>}
+ */
+async function hmacSha256Hex(secret, message) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+  return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Checks whether any of the subscriptions listens to an operation.
+ * @param {Array<object>} webhooks - The subscriptions of the table.
+ * @param {'insert' | 'update' | 'delete'} operation
+ * @returns {boolean}
+ */
+function hasWebhooks(webhooks, operation) {
+  return webhooks.some(webhook => webhook.events.includes(operation));
+}
+
+/**
+ * Sends the webhooks for record changes in the background, after the response.
+ * Changes without a `record` are sent with the row as read at delivery time.
+ *
+ * @param {ExecutionContext} ctx - The Worker execution context.
+ * @param {Env} env - The environment (`DB`, optional `WEBHOOK_RETRY_DELAYS_MS`).
+ * @param {Array<object>} webhooks - The subscriptions of the table (from `getWebhooks` with secrets).
+ * @param {string} tableName - The table name.
+ * @param {Array<{operation: string, id: number, record?: object | null}>} changes - The changed records.
+ */
+function queueWebhooks(ctx, env, webhooks, tableName, changes) {
+  changes = changes.filter(change => change.id && hasWebhooks(webhooks, change.operation));
+  if (changes.length > 0) {
+    ctx.waitUntil(deliverWebhooks(env, webhooks, tableName, changes));
+  }
+}
+
+/**
+ * Logs the webhook deliveries of a list of changes as `pending`, then delivers the first
+ * WEBHOOK_INLINE_DELIVERIES of them in parallel. The others stay due in the log for the scheduled
+ * re-drive (`redriveWebhookDeliveries`), so a large change stays within the Worker's subrequest limits.
+ * Never throws; failures end up in the delivery log.
+ * @param {Env} env - The environment.
+ * @param {Array<object>} webhooks - The subscriptions of the table.
+ * @param {string} tableName - The table name.
+ * @param {Array<{operation: string, id: number, record?: object | null}>} changes - The changed records.
+ * @returns {Promise<void>}
+ */
+async function deliverWebhooks(env, webhooks, tableName, changes) {
+  try {
+    const missing = changes.filter(change => change.record === undefined).map(change => change.id);
+    const rows = new Map((await getRecordsByIds(env.DB, tableName, missing)).map(row => [row.id, row]));
+    const deliveries = [];
+    for (const change of changes) {
+      const event = {
+        event: change.operation,
+        table: tableName,
+        record_id: change.id,
+        record: change.record === undefined ? rows.get(change.id) || null : change.record,
+        occurred_at: new Date().toISOString(),
+      };
+      for (const webhook of webhooks.filter(webhook => webhook.events.includes(change.operation))) {
+        deliveries.push({ id: null, webhook, payload: { id: crypto.randomUUID(), webhook_id: webhook.id, ...event }, attempts: 0 });
+      }
+    }
+
+    // The inline deliveries are leased, so the re-drive only takes them over if this Worker is stopped
+    const now = Math.floor(Date.now() / 1000);
+    try {
+      for (let start = 0; start < deliveries.length; start += WEBHOOK_LOG_CHUNK_SIZE) {
+        const chunk = deliveries.slice(start, start + WEBHOOK_LOG_CHUNK_SIZE);
+        const results = await env.DB.batch(chunk.map((delivery, i) => env.DB.prepare(`
+          INSERT INTO ${DB_DA_WEBHOOK_DELIVERIES_TABLENAME} (webhook_id, event_id, table_name, record_id, operation, status, payload, next_attempt_at)
+          VALUES (?, ?, ?, ?, ?, 'pending', ?, ?);
+        `).bind(
+          delivery.webhook.id, delivery.payload.id, tableName, delivery.payload.record_id, delivery.payload.event,
+          JSON.stringify(delivery.payload), start + i < WEBHOOK_INLINE_DELIVERIES ? now + WEBHOOK_LEASE_SECONDS : now,
+        )));
+        results.forEach((result, i) => { chunk[i].id = result.meta.last_row_id; });
+      }
+    } catch (error) {
+      // A missing or failing log must not stop the inline deliveries
+      console.error(`Error logging webhook deliveries of table ${tableName}:`, error);
+    }
+
+    const delays = getWebhookRetryDelays(env);
+    await Promise.all(deliveries.slice(0, WEBHOOK_INLINE_DELIVERIES).map(delivery => deliverWebhook(env.DB, delivery, delays)));
+  } catch (error) {
+    console.error(`Error delivering webhooks of table ${tableName}:`, error);
+  }
+}
+
+/**
+ * Delivers one logged webhook event, retrying after each of the given delays as long as the waits
+ * fit in WEBHOOK_INLINE_RETRY_WINDOW_MS. Later retries are left to the scheduled re-drive.
+ * @param {D1Database} db - The D1 database instance, for the delivery log.
+ * @param {{id: number | null, webhook: object, payload: object, attempts: number}} delivery - See `attemptWebhookDelivery`.
+ * @param {number[]} delays - Milliseconds to wait before each retry.
+ * @returns {Promise<boolean>} True if the event was delivered.
+ */
+async function deliverWebhook(db, delivery, delays) {
+  let waited = 0;
+  for (let attempts = delivery.attempts; ; attempts++) {
+    const delay = delays[attempts];
+    const retryInline = delay !== undefined && waited + delay <= WEBHOOK_INLINE_RETRY_WINDOW_MS;
+    const status = await attemptWebhookDelivery(db, { ...delivery, attempts }, delays, retryInline ? WEBHOOK_LEASE_SECONDS : 0);
+    if (status !== 'pending' || !retryInline) {
+      return status === 'delivered';
+    }
+    await new Promise(resolve => setTimeout(resolve, delay));
+    waited += delay;
+  }
+}
+
+/**
+ * Makes one attempt at delivering a webhook event and records it in the delivery log. Network errors,
+ * HTTP 429 and 5xx leave the delivery `pending` while retries remain, due again after the next delay.
+ *
+ * The body is the JSON payload. `X-Webhook-Signature` is `sha256=` followed by the hex HMAC-SHA256, keyed with
+ * the subscription secret, of `<X-Webhook-Timestamp>.<body>`.
+ *
+ * @param {D1Database} db - The D1 database instance, for the delivery log.
+ * @param {{id: number | null, webhook: object, payload: object, attempts: number}} delivery - The log row id
+ * (null when it could not be logged), the subscription with its secret, the event payload and the attempts made so far.
+ * @param {number[]} delays - Milliseconds to wait before each retry.
+ * @param {number} [leaseSeconds=0] - Extra seconds before the re-drive may retry it, while the caller retries it itself.
+ * @returns {Promise<'delivered' | 'pending' | 'failed'>}
+ */
+async function attemptWebhookDelivery(db, delivery, delays, leaseSeconds = 0) {
+  const { webhook, payload } = delivery;
+  const attempt = delivery.attempts + 1;
+  const body = JSON.stringify(payload);
+  let responseStatus = null;
+  let error = null;
+  try {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Event': payload.event,
+        'X-Webhook-Event-Id': payload.id,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${await hmacSha256Hex(webhook.secret, `${timestamp}.${body}`)}`,
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    responseStatus = response.status;
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (fetchError) {
+    error = fetchError.message;
+  }
+
+  const retryable = error !== null && (responseStatus === null || responseStatus === 429 || responseStatus >= 500);
+  const status = error === null ? 'delivered' : retryable && attempt <= delays.length ? 'pending' : 'failed';
+  const nextAttemptAt = status === 'pending' ? Math.floor(Date.now() / 1000) + Math.ceil(delays[attempt - 1] / 1000) + leaseSeconds : null;
+  if (delivery.id !== null) {
+    try {
+      await db.prepare(`
+        UPDATE ${DB_DA_WEBHOOK_DELIVERIES_TABLENAME}
+        SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?;
+      `).bind(status, attempt, responseStatus, error, nextAttemptAt, delivery.id).run();
+    } catch (logError) {
+      console.error(`Error logging delivery of webhook ${webhook.id}:`, logError);
+    }
+  }
+  return status;
+}
+
+/**
+ * Re-drives the pending webhook deliveries that are due: events a request left to the re-drive, retries
+ * beyond the inline window, and deliveries whose Worker was stopped. Up to WEBHOOK_REDRIVE_BATCH_SIZE of them
+ * are claimed (leased, so an overlapping run skips them) and attempted once each. Run by the `scheduled` handler.
+ * @param {Env} env - The environment.
+ * @returns {Promise<number>} The number of deliveries claimed.
+ */
+async function redriveWebhookDeliveries(env) {
+  const now = Math.floor(Date.now() / 1000);
+  const { results } = await env.DB.prepare(`
+    UPDATE ${DB_DA_WEBHOOK_DELIVERIES_TABLENAME} SET next_attempt_at = ?
+    WHERE id IN (
+      SELECT id FROM ${DB_DA_WEBHOOK_DELIVERIES_TABLENAME}
+      WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?
+    )
+    RETURNING id, webhook_id, attempts, payload;
+  `).bind(now + WEBHOOK_LEASE_SECONDS, now, WEBHOOK_REDRIVE_BATCH_SIZE).all();
+  if (results.length === 0) {
+    return 0;
+  }
+
+  const webhooks = new Map((await getWebhooks(env.DB, null, true)).map(webhook => [webhook.id, webhook]));
+  const delays = getWebhookRetryDelays(env);
+  await Promise.all(results.map(row => {
+    const webhook = webhooks.get(row.webhook_id);
+    if (!webhook) {
+      return env.DB.prepare(`
+        UPDATE ${DB_DA_WEBHOOK_DELIVERIES_TABLENAME}
+        SET status = 'failed', error = 'Webhook deleted', next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?;
+      `).bind(row.id).run();
+    }
+    return attemptWebhookDelivery(env.DB, { id: row.id, webhook, payload: JSON.parse(row.payload), attempts: row.attempts }, delays);
+  }));
+  return results.length;
+}
+
+/**
+ * Lists the delivery log of a webhook, newest first.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} webhookId - The webhook id.
+ * @param {URLSearchParams} searchParams - `status`, `before_id` and `limit`.
+ * @returns {Promise<{deliveries: Array<object>, next_before_id: number | null}>}
+ */
+async function queryWebhookDeliveries(db, webhookId, searchParams) {
+  const conditions = ['webhook_id = ?'];
+  const params = [webhookId];
+  if (searchParams.has('status')) {
+    conditions.push('status = ?');
+    params.push(searchParams.get('status'));
+  }
+  if (searchParams.has('before_id')) {
+    conditions.push('id < ?');
+    params.push(parseInt(searchParams.get('before_id')));
+  }
+  const limit = Math.min(Math.max(parseInt(searchParams.get('limit')) || WEBHOOK_DELIVERIES_DEFAULT_LIMIT, 1), WEBHOOK_DELIVERIES_MAX_LIMIT);
+
+  try {
+    const { results } = await db.prepare(`
+      SELECT * FROM ${DB_DA_WEBHOOK_DELIVERIES_TABLENAME} WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ?;
+    `).bind(...params, limit).all();
+    return { deliveries: results, next_before_id: results.length === limit ? results[results.length - 1].id : null };
+  } catch (error) {
+    console.error(`Error querying deliveries of webhook ${webhookId}:`, error);
+    throw new Error(`Failed to query webhook deliveries: ${error.message}`);
+  }
+}
+
+/**
+ * Validates the body of `PUT /api/rate-limits/:key`.
+ *
+ * `read` and `write` are `{ limit, window }`: at most `limit` requests per `window` seconds
+ * (default 60). `daily_rows` caps the rows the key's queries read per UTC day.
+ *
+ * @param {any} body - The parsed request body.
+ * @returns {{read?: {limit: number, window: number}, write?: {limit: number, window: number}, daily_rows?: number}}
+ */
+function parseRateLimitDefinition(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Request body must be a JSON object.');
+  }
+  const unknown = Object.keys(body).filter(key => ![...RATE_LIMIT_BUCKETS, 'daily_rows'].includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown rate limit fields: ${unknown.join(', ')}`);
+  }
+
+  const limits = {};
+  for (const bucket of RATE_LIMIT_BUCKETS) {
+    if (body[bucket] === undefined || body[bucket] === null) {
+      continue;
+    }
+    const { limit, window = RATE_LIMIT_DEFAULT_WINDOW } = body[bucket];
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`'${bucket}.limit' must be a positive integer.`);
+    }
+    if (!Number.isInteger(window) || window < 1 || window > RATE_LIMIT_MAX_WINDOW) {
+      throw new Error(`'${bucket}.window' must be an integer between 1 and ${RATE_LIMIT_MAX_WINDOW} seconds.`);
+    }
+    limits[bucket] = { limit, window };
+  }
+  if (body.daily_rows !== undefined && body.daily_rows !== null) {
+    if (!Number.isInteger(body.daily_rows) || body.daily_rows < 1) {
+      throw new Error("'daily_rows' must be a positive integer.");
+    }
+    limits.daily_rows = body.daily_rows;
+  }
+  if (Object.keys(limits).length === 0) {
+    throw new Error("Set at least one of 'read', 'write' or 'daily_rows'.");
+  }
+  return limits;
+}
+
+/**
+ * Reads the limits that apply to a key: its own entry, or else the `*` default.
+ * A database without the system table has none.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} keyId - The key id (see `authenticateRequest`).
+ * @returns {Promise<{key: string, limits: object} | null>} The entry and the key it is stored under.
+ */
+async function getRateLimits(db, keyId) {
+  try {
+    const { results } = await db.prepare(`SELECT c1, t1 FROM ${DB_DA_SYSTEM_TABLENAME} WHERE c1 IN (?, ?);`)
+      .bind(RATE_LIMIT_KEY_PREFIX + keyId, RATE_LIMIT_KEY_PREFIX + RATE_LIMIT_DEFAULT_KEY).all();
+    const row = results.find(row => row.c1 === RATE_LIMIT_KEY_PREFIX + keyId) || results[0];
+    return row ? { key: row.c1.slice(RATE_LIMIT_KEY_PREFIX.length), limits: JSON.parse(row.t1) } : null;
+  } catch (error) {
+    if (error.message.includes('no such table')) {
+      return null;
+    }
+    console.error(`Error reading rate limits of ${keyId}:`, error);
+    throw new Error(`Failed to read rate limits: ${error.message}`);
+  }
+}
+
+/**
+ * Lists every stored rate limit entry, the `*` default included.
+ * @param {D1Database} db - The D1 database instance.
+ * @returns {Promise<Array<{key: string, read?: object, write?: object, daily_rows?: number}>>}
+ */
+async function listRateLimits(db) {
+  try {
+    // Range over the key prefix, so the lookup uses the UNIQUE index on c1
+    const { results } = await db.prepare(`SELECT c1, t1 FROM ${DB_DA_SYSTEM_TABLENAME} WHERE c1 > ? AND c1 < ? ORDER BY c1 ASC;`)
+      .bind(RATE_LIMIT_KEY_PREFIX, RATE_LIMIT_KEY_PREFIX.slice(0, -1) + ';').all();
+    return results.map(row => ({ key: row.c1.slice(RATE_LIMIT_KEY_PREFIX.length), ...JSON.parse(row.t1) }));
+  } catch (error) {
+    console.error('Error listing rate limits:', error);
+    throw new Error(`Failed to list rate limits: ${error.message}`);
+  }
+}
+
+/**
+ * Stores the limits of a key, replacing its previous ones. Counters of the current windows are kept.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} key - The key id, or `*` for the default.
+ * @param {object} limits - From `parseRateLimitDefinition`.
+ * @returns {Promise<D1Result>}
+ */
+async function saveRateLimits(db, key, limits) {
+  try {
+    return await db.prepare(`
+      INSERT INTO ${DB_DA_SYSTEM_TABLENAME} (c1, t1) VALUES (?, ?)
+      ON CONFLICT(c1) DO UPDATE SET t1 = excluded.t1, v2 = CURRENT_TIMESTAMP;
+    `).bind(RATE_LIMIT_KEY_PREFIX + key, JSON.stringify(limits)).run();
+  } catch (error) {
+    console.error(`Error saving rate limits of ${key}:`, error);
+    throw new Error(`Failed to save rate limits: ${error.message}`);
+  }
+}
+
+/**
+ * Deletes the limits of a key together with its counters. Keys without their own entry
+ * fall back to the `*` default.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} key - The key id, or `*` for the default.
+ * @returns {Promise<boolean>} True if the entry existed.
+ */
+async function deleteRateLimits(db, key) {
+  try {
+    const [result] = await db.batch([
+      db.prepare(`DELETE FROM ${DB_DA_SYSTEM_TABLENAME} WHERE c1 = ?;`).bind(RATE_LIMIT_KEY_PREFIX + key),
+      db.prepare(`DELETE FROM ${DB_DA_RATE_LIMITS_TABLENAME} WHERE key_id = ?;`).bind(key),
+    ]);
+    return result.meta.changes > 0;
+  } catch (error) {
+    console.error(`Error deleting rate limits of ${key}:`, error);
+    throw new Error(`Failed to delete rate limits: ${error.message}`);
+  }
+}
+
+/**
+ * Returns the start (Unix seconds) of the fixed window that contains a point in time.
+ * @param {number} window - The window length in seconds.
+ * @param {number} now - The time in Unix seconds.
+ * @returns {number}
+ */
+function getRateLimitWindow(window, now) {
+  return Math.floor(now / window) * window;
+}
+
+/**
+ * Prepares the statement that adds to a counter, starting it over when its window has moved on.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} keyId - The key id.
+ * @param {'read' | 'write' | 'daily_rows'} bucket - The counter.
+ * @param {number} windowStart - The start of the current window.
+ * @param {number} amount - What to add.
+ * @returns {D1PreparedStatement} Returns the new `used` value.
+ */
+function prepareRateLimitIncrement(db, keyId, bucket, windowStart, amount) {
+  return db.prepare(`
+    INSERT INTO ${DB_DA_RATE_LIMITS_TABLENAME} (key_id, bucket, window_start, used) VALUES (?, ?, ?, ?)
+    ON CONFLICT(key_id, bucket) DO UPDATE SET
+      used = CASE WHEN window_start = excluded.window_start THEN used + excluded.used ELSE excluded.used END,
+      window_start = excluded.window_start,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING used;
+  `).bind(keyId, bucket, windowStart, amount);
+}
+
+/**
+ * Counts a request against the rate limit of its caller and checks the caller's daily row-read quota.
+ *
+ * GET and HEAD requests use the `read` bucket, everything else the `write` bucket. Both are fixed
+ * windows counted in one upsert, so concurrent requests cannot overshoot. The admin token is never limited.
+ * Errors are logged and let the request through, so a broken counter cannot take the API down.
+ *
+ * @param {D1Database} db - The D1 database instance.
+ * @param {object} auth - The result of `authenticateRequest`.
+ * @param {string} method - The HTTP method.
+ * @returns {Promise<{exceeded: boolean, message: string | null, headers: object, limits: object | null}>}
+ * `headers` are the `X-RateLimit-*` (and, when exceeded, `Retry-After`) headers; `limits` is null
+ * when the caller is not limited at all.
+ */
+async function checkRateLimit(db, auth, method) {
+  const unlimited = { exceeded: false, message: null, headers: {}, limits: null };
+  if (auth.isAdmin) {
+    return unlimited;
+  }
+  try {
+    const entry = await getRateLimits(db, auth.keyId);
+    if (!entry) {
+      return unlimited;
+    }
+    const { limits } = entry;
+    const now = Math.floor(Date.now() / 1000);
+    const bucket = method === 'GET' || method === 'HEAD' ? 'read' : 'write';
+    const rule = limits[bucket];
+    const day = getRateLimitWindow(RATE_LIMIT_DAY_SECONDS, now);
+
+    const statements = [];
+    if (rule) {
+      statements.push(prepareRateLimitIncrement(db, auth.keyId, bucket, getRateLimitWindow(rule.window, now), 1));
+    }
+    if (limits.daily_rows) {
+      statements.push(db.prepare(`SELECT used FROM ${DB_DA_RATE_LIMITS_TABLENAME} WHERE key_id = ? AND bucket = 'daily_rows' AND window_start = ?;`)
+        .bind(auth.keyId, day));
+    }
+    const results = statements.length > 0 ? await db.batch(statements) : [];
+
+    const headers = {};
+    let message = null;
+    let retryAfter = 0;
+    if (rule) {
+      const used = results.shift().results[0].used;
+      const reset = getRateLimitWindow(rule.window, now) + rule.window;
+      headers['X-RateLimit-Limit'] = String(rule.limit);
+      headers['X-RateLimit-Remaining'] = String(Math.max(rule.limit - used, 0));
+      headers['X-RateLimit-Reset'] = String(reset);
+      if (used > rule.limit) {
+        message = `Rate limit exceeded: at most ${rule.limit} ${bucket} requests per ${rule.window} seconds.`;
+        retryAfter = reset - now;
+      }
+    }
+    if (limits.daily_rows) {
+      const used = results.shift().results[0]?.used || 0;
+      const reset = day + RATE_LIMIT_DAY_SECONDS;
+      headers['X-RateLimit-Rows-Limit'] = String(limits.daily_rows);
+      headers['X-RateLimit-Rows-Remaining'] = String(Math.max(limits.daily_rows - used, 0));
+      headers['X-RateLimit-Rows-Reset'] = String(reset);
+      if (used >= limits.daily_rows) {
+        message = message || `Daily quota exceeded: at most ${limits.daily_rows} rows read per day.`;
+        retryAfter = Math.max(retryAfter, reset - now);
+      }
+    }
+    if (message !== null) {
+      headers['Retry-After'] = String(Math.max(retryAfter, 1));
+    }
+    return { exceeded: message !== null, message, headers, limits };
+  } catch (error) {
+    console.error(`Error checking rate limit of ${auth.keyId}:`, error);
+    return unlimited;
+  }
+}
+
+/**
+ * Adds the rows a request read to the caller's daily quota counter. Never throws.
+ * @param {D1Database} db - The D1 database instance (not the metered one).
+ * @param {string} keyId - The key id.
+ * @param {number} rows - The rows read, as reported by D1 (`meta.rows_read`).
+ * @returns {Promise<void>}
+ */
+async function recordRowReads(db, keyId, rows) {
+  if (rows <= 0) {
+    return;
+  }
+  try {
+    const day = getRateLimitWindow(RATE_LIMIT_DAY_SECONDS, Math.floor(Date.now() / 1000));
+    await prepareRateLimitIncrement(db, keyId, 'daily_rows', day, rows).run();
+  } catch (error) {
+    console.error(`Error recording row reads of ${keyId}:`, error);
+  }
+}
+
+/**
+ * Wraps a D1 database so that the `meta.rows_read` of every query is added to `usage.rowsRead`.
+ * Covers what the routes use: `prepare` (with `bind`, `first`, `all`, `run`) and `batch`. `first` has no
+ * `meta`, so each call counts as one row read.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {{rowsRead: number}} usage - The counter to add to.
+ * @returns {D1Database}
+ */
+function meterDatabase(db, usage) {
+  const count = result => {
+    usage.rowsRead += result?.meta?.rows_read || 0;
+    return result;
+  };
+  const wrap = statement => ({
+    statement,
+    bind: (...values) => wrap(statement.bind(...values)),
+    all: async () => count(await statement.all()),
+    run: async () => count(await statement.run()),
+    // `first` reports no meta; it is counted as the one row it returns
+    first: async column => {
+      usage.rowsRead += 1;
+      return column !== undefined ? statement.first(column) : statement.first();
+    },
+  });
+  return {
+    prepare: sql => wrap(db.prepare(sql)),
+    batch: async statements => (await db.batch(statements.map(s => s.statement || s))).map(count),
+  };
+}
+
+/**
+ * Reports the counters of the current windows, per key, against the limits that apply to each key.
+ * Counters of windows that have already ended are left out.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string | null} [keyId=null] - Only report this key.
+ * @returns {Promise<Array<{key: string, read?: object, write?: object, daily_rows?: object}>>}
+ * Each bucket is `{ used, limit, remaining, reset }`, with `reset` in Unix seconds.
+ */
+async function getRateLimitUsage(db, keyId = null) {
+  try {
+    const limitsByKey = Object.fromEntries((await listRateLimits(db)).map(({ key, ...limits }) => [key, limits]));
+    let query = `SELECT key_id, bucket, window_start, used FROM ${DB_DA_RATE_LIMITS_TABLENAME}`;
+    const params = [];
+    if (keyId !== null) {
+      query += ' WHERE key_id = ?';
+      params.push(keyId);
+    }
+    const { results } = await db.prepare(`${query} ORDER BY key_id ASC, bucket ASC;`).bind(...params).all();
+
+    const now = Math.floor(Date.now() / 1000);
+    const usage = new Map();
+    for (const row of results) {
+      const limits = limitsByKey[row.key_id] || limitsByKey[RATE_LIMIT_DEFAULT_KEY];
+      const [limit, window] = row.bucket === 'daily_rows'
+        ? [limits?.daily_rows, RATE_LIMIT_DAY_SECONDS]
+        : [limits?.[row.bucket]?.limit, limits?.[row.bucket]?.window];
+      if (!limit || row.window_start !== getRateLimitWindow(window, now)) {
+        continue;
+      }
+      const entry = usage.get(row.key_id) || { key: row.key_id };
+      entry[row.bucket] = { used: row.used, limit, remaining: Math.max(limit - row.used, 0), reset: row.window_start + window };
+      usage.set(row.key_id, entry);
+    }
+    return [...usage.values()];
+  } catch (error) {
+    console.error('Error reading rate limit usage:', error);
+    throw new Error(`Failed to read rate limit usage: ${error.message}`);
+  }
+}
+
+
+/**
+ * Every route of the API, in one table. `handleRequest` dispatches requests through it, `GET /api` lists it
+ * and `GET /api/openapi.json` is generated from it.
+ *
+ * Each route: { method, path, tag, summary, permission, handler, cache?, params?, body?, response?, status?, errors? }
+ * - `path` uses OpenAPI templates (`{tableName}`), described in OPENAPI_PATH_PARAMETERS; the first route whose
+ *   path and method match wins. Routes under `/api/{tableName}/` get the table state (see `loadTableContext`).
+ * - `permission` is the operation `authorize` checks (`public` routes need no token; `admin` is enforced
+ *   before the handler runs, the others by the handler, which knows the table).
+ * - `handler` receives the RouteContext; `cache` marks the GET routes served through the edge cache.
+ * - `params` names query and header parameters in OPENAPI_PARAMETERS.
+ * - `body` and `response` name component schemas (see `buildOpenApiSchemas`); `response` describes `data`.
+ * - `errors` lists the route-specific error statuses, on top of 401, 403, 429 and 500.
+ */
+const ROUTES = [
+  { method: 'GET', path: '/api', tag: 'General', summary: 'Describe the API and list its routes', permission: 'public', handler: handleApiIndex },
+  { method: 'GET', path: '/api/openapi.json', tag: 'General', summary: 'OpenAPI 3.1 document of the API', permission: 'public', handler: handleOpenApiDocument },
+
+  { method: 'POST', path: '/api/initsystem', tag: 'System', summary: 'Create the system table and apply pending migrations', permission: 'admin', status: 201, handler: handleInitSystem },
+  { method: 'GET', path: '/api/system/status', tag: 'System', summary: 'Report the stored and target schema versions', permission: 'read', handler: handleSystemStatus },
+  { method: 'POST', path: '/api/system/migrate', tag: 'System', summary: 'Apply pending migrations in one transaction', permission: 'admin', errors: [400], handler: handleMigrate },
+  { method: 'GET', path: '/api/keys', tag: 'System', summary: 'List API keys', permission: 'admin', handler: handleListKeys },
+  { method: 'POST', path: '/api/keys', tag: 'System', summary: 'Create an API key', permission: 'admin', body: 'ApiKeyDefinition', status: 201, errors: [400], handler: handleCreateKey },
+  { method: 'DELETE', path: '/api/keys/{keyId}', tag: 'System', summary: 'Revoke an API key', permission: 'admin', errors: [404], handler: handleRevokeKey },
+  { method: 'GET', path: '/api/audit', tag: 'System', summary: 'Query the audit log', permission: 'admin', params: ['table', 'record_id', 'operation', 'actor', 'request_id', 'since', 'until', 'limit', 'before_id'], errors: [400], handler: handleQueryAuditLog },
+  { method: 'GET', path: '/api/webhooks', tag: 'System', summary: 'List webhook subscriptions', permission: 'admin', params: ['table'], handler: handleListWebhooks },
+  { method: 'POST', path: '/api/webhooks', tag: 'System', summary: 'Subscribe a URL to the changes of a table', permission: 'admin', body: 'WebhookDefinition', status: 201, errors: [400, 404], handler: handleCreateWebhook },
+  { method: 'DELETE', path: '/api/webhooks/{webhookId}', tag: 'System', summary: 'Delete a webhook subscription', permission: 'admin', errors: [404], handler: handleDeleteWebhook },
+  { method: 'GET', path: '/api/webhooks/{webhookId}/deliveries', tag: 'System', summary: 'List the delivery log of a webhook', permission: 'admin', params: ['status', 'limit', 'before_id'], handler: handleListWebhookDeliveries },
+  { method: 'GET', path: '/api/rate-limits', tag: 'System', summary: 'List rate limits and the current usage per key', permission: 'admin', handler: handleListRateLimits },
+  { method: 'GET', path: '/api/rate-limits/{key}', tag: 'System', summary: 'Get the limits and current usage of a key', permission: 'admin', handler: handleGetRateLimits },
+  { method: 'PUT', path: '/api/rate-limits/{key}', tag: 'System', summary: 'Set the rate limits of a key', permission: 'admin', body: 'RateLimits', errors: [400], handler: handleSetRateLimits },
+  { method: 'DELETE', path: '/api/rate-limits/{key}', tag: 'System', summary: 'Remove the rate limits of a key and reset its counters', permission: 'admin', errors: [404], handler: handleDeleteRateLimits },
+
+  { method: 'GET', path: '/api/tables', tag: 'Tables', summary: 'List tables', permission: 'read', params: ['include_system'], handler: handleListTables },
+  { method: 'POST', path: '/api/create-table', tag: 'Tables', summary: 'Create a table with the fixed column schema', permission: 'ddl', body: 'CreateTable', status: 201, errors: [400], handler: handleCreateTable },
+  { method: 'DELETE', path: '/api/tables/{tableName}', tag: 'Tables', summary: 'Drop a table', permission: 'ddl', errors: [400, 404], handler: handleDropTable },
+  { method: 'GET', path: '/api/{tableName}/settings', tag: 'Tables', summary: 'Get the settings of a table', permission: 'read', errors: [404], handler: handleGetSettings },
+  { method: 'PUT', path: '/api/{tableName}/settings', tag: 'Tables', summary: 'Change the settings of a table', permission: 'admin', body: 'TableSettings', errors: [400, 404, 409], handler: handleUpdateSettings },
+  { method: 'GET', path: '/api/{tableName}/indexes', tag: 'Tables', summary: 'List the indexes of a table', permission: 'read', errors: [404], handler: handleListIndexes },
+  { method: 'POST', path: '/api/{tableName}/indexes', tag: 'Tables', summary: 'Create an index', permission: 'ddl', body: 'IndexDefinition', status: 201, errors: [400, 404, 409], handler: handleCreateIndex },
+  { method: 'DELETE', path: '/api/{tableName}/indexes/{indexName}', tag: 'Tables', summary: 'Drop an index', permission: 'ddl', errors: [400, 404], handler: handleDropIndex },
+  { method: 'DELETE', path: '/api/{tableName}/index/{indexName}', tag: 'Tables', summary: 'Drop an index (alias of /indexes/{indexName})', permission: 'ddl', errors: [400, 404], deprecated: true, handler: handleDropIndex },
+
+  { method: 'GET', path: '/api/{tableName}/count', tag: 'Metadata', summary: 'Count records', permission: 'read', params: ['min_id', 'max_id'], errors: [404], cache: true, handler: handleCount },
+  { method: 'GET', path: '/api/{tableName}/max_id', tag: 'Metadata', summary: 'Get the highest record id', permission: 'read', errors: [404], cache: true, handler: handleMaxId },
+  { method: 'GET', path: '/api/{tableName}/aggregate', tag: 'Metadata', summary: 'Aggregate records, optionally grouped', permission: 'read', params: ['metrics', 'group_by', 'limit', 'filter'], errors: [400, 404], handler: handleAggregate },
+  { method: 'GET', path: '/api/{tableName}/search', tag: 'Metadata', summary: 'Full-text search over the indexed columns', permission: 'read', params: ['q', 'syntax', 'limit', 'offset'], errors: [400, 404], handler: handleSearch },
+  { method: 'POST', path: '/api/{tableName}/search/rebuild', tag: 'Metadata', summary: 'Rebuild the full-text index of a table', permission: 'admin', errors: [400, 404], handler: handleRebuildSearchIndex },
+
+  { method: 'GET', path: '/api/{tableName}/records', tag: 'Records', summary: 'List records', permission: 'read', params: ['c1', 'min_id', 'max_id', 'limit', 'offset', 'order', 'orderby', 'cursor', 'filter', 'raw'], response: 'RecordList', errors: [400, 404], cache: true, handler: handleListRecords },
+  { method: 'POST', path: '/api/{tableName}/records', tag: 'Records', summary: 'Create a record (or upsert by c1 with ?upsert=c1)', permission: 'insert', params: ['upsert'], body: 'RecordInput', status: 201, errors: [400, 404, 409], handler: handleCreateRecord },
+  { method: 'GET', path: '/api/{tableName}/records/{id}', tag: 'Records', summary: 'Get a record by id', permission: 'read', params: ['raw', 'If-None-Match'], response: 'RecordList', errors: [304, 404], cache: true, handler: handleGetRecord },
+  { method: 'PUT', path: '/api/{tableName}/records/{id}', tag: 'Records', summary: 'Update a record', permission: 'update', params: ['If-Match'], body: 'RecordInput', errors: [400, 404, 412], handler: handleUpdateRecord },
+  { method: 'PATCH', path: '/api/{tableName}/records/{id}', tag: 'Records', summary: 'Update fields of a record with operators', permission: 'update', params: ['If-Match'], body: 'RecordPatch', response: 'Record', errors: [400, 404, 412], handler: handlePatchRecord },
+  { method: 'DELETE', path: '/api/{tableName}/records/{id}', tag: 'Records', summary: 'Delete a record (moves it to the trash in soft-delete mode)', permission: 'delete', params: ['If-Match'], errors: [404, 412], handler: handleDeleteRecord },
+  { method: 'PUT', path: '/api/{tableName}/records/by-c1/{c1}', tag: 'Records', summary: 'Insert or update the record with this c1', permission: 'insert, update', body: 'RecordInput', errors: [400, 404, 409], handler: handleUpsertRecordByC1 },
+  { method: 'GET', path: '/api/{tableName}/records/{id}/history', tag: 'Records', summary: 'List the audit entries of a record', permission: 'read', errors: [400, 404], handler: handleRecordHistory },
+  { method: 'POST', path: '/api/{tableName}/records/{id}/restore', tag: 'Records', summary: 'Restore a record from the trash', permission: 'delete', errors: [400, 404], handler: handleRestoreRecord },
+  { method: 'GET', path: '/api/{tableName}/trash', tag: 'Records', summary: 'List trashed records', permission: 'read', params: ['min_id', 'limit'], response: 'RecordList', errors: [400, 404], handler: handleListTrash },
+  { method: 'DELETE', path: '/api/{tableName}/trash', tag: 'Records', summary: 'Purge trashed records older than a number of days', permission: 'delete', params: ['older_than_days'], errors: [400, 404], handler: handlePurgeTrash },
+  { method: 'POST', path: '/api/{tableName}/batch', tag: 'Records', summary: 'Run insert, update, delete and upsert operations in one transaction', permission: 'per operation', body: 'BatchOperations', errors: [400, 404, 409], handler: handleBatch },
+  { method: 'GET', path: '/api/{tableName}/export', tag: 'Records', summary: 'Stream a whole table as NDJSON, CSV or JSON', permission: 'read', params: ['format', 'columns', 'filter'], errors: [400, 404], handler: handleExport },
+  { method: 'POST', path: '/api/{tableName}/import', tag: 'Records', summary: 'Import CSV or NDJSON rows', permission: 'insert (plus update for upsert, delete for replace)', params: ['mode', 'format', 'dry_run'], body: 'ImportRows', errors: [400, 404, 409], handler: handleImport },
+];
+
+// Path parameters of the route table, by template name
+const OPENAPI_PATH_PARAMETERS = {
+  tableName: { schema: { type: 'string', pattern: IDENTIFIER_PATTERN.source }, description: 'Table name' },
+  id: { schema: { type: 'integer', minimum: RESERVED_MAX_ID + 1 }, description: 'Record id' },
+  c1: { schema: { type: 'string' }, description: 'URL-encoded c1 value' },
+  indexName: { schema: { type: 'string', pattern: IDENTIFIER_PATTERN.source }, description: 'Index name' },
+  keyId: { schema: { type: 'string' }, description: 'API key id' },
+  webhookId: { schema: { type: 'string' }, description: 'Webhook id' },
+  key: { schema: { type: 'string' }, description: 'Key id (API key id, `jwt:<sub>`, `env:READ_ONLY_TOKEN`) or `*` for the default' },
+};
+
+// Query and header parameters, by the names routes list in `params`
+const OPENAPI_PARAMETERS = {
+  c1: { in: 'query', schema: { type: 'string' }, description: 'Only records with this c1' },
+  include_system: { in: 'query', schema: { type: 'boolean' }, description: 'Include system tables (admin only)' },
+  min_id: { in: 'query', schema: { type: 'integer' }, description: 'Only records after this value: `id > min_id` (count, trash); on records, the `orderby` column, `<` when descending' },
+  max_id: { in: 'query', schema: { type: 'integer' }, description: 'Only records before this value: `id < max_id` (count); on records, the `orderby` column, `>` when descending' },
+  limit: { in: 'query', schema: { type: 'integer', minimum: 1 }, description: 'Page size' },
+  offset: { in: 'query', schema: { type: 'integer', minimum: 0 }, description: 'Records: keyset value, only rows after it in the `orderby` column (like `min_id`); search: matches to skip (`next_offset`)' },
+  order: { in: 'query', schema: { type: 'string', enum: ['asc', 'desc'] }, description: 'Sort direction' },
+  orderby: { in: 'query', schema: { type: 'string', enum: EXPORT_COLUMNS }, description: 'Sort column' },
+  cursor: { in: 'query', schema: { type: 'string' }, description: 'Cursor pagination: empty for the first page, then `next_cursor` / `prev_cursor`' },
+  filter: {
+    in: 'query',
+    style: 'deepObject',
+    explode: true,
+    schema: { type: 'object', additionalProperties: { type: 'object', propertyNames: { enum: FILTER_OPERATORS } } },
+    description: 'Column filters, e.g. `filter[i1][gte]=10&filter[c2][in]=a,b`',
+  },
+  raw: { in: 'query', schema: { type: 'boolean' }, description: 'Return plain columns instead of the schema field names' },
+  upsert: { in: 'query', schema: { type: 'string', enum: ['c1'] }, description: 'Upsert by c1 instead of inserting' },
+  metrics: { in: 'query', schema: { type: 'string' }, description: `Comma-separated \`count\` or \`<fn>:<column>\`, e.g. \`count,sum:i1,avg:d2\`; fn: ${AGGREGATE_FUNCTIONS.join(', ')}; column: ${AGGREGATE_NUMERIC_COLUMNS.join(', ')}` },
+  group_by: { in: 'query', schema: { type: 'string' }, description: `Comma-separated columns or date buckets (\`v1:day\`; buckets: ${Object.keys(AGGREGATE_DATE_BUCKETS).join(', ')})` },
+  q: { in: 'query', required: true, schema: { type: 'string' }, description: 'Search text' },
+  syntax: { in: 'query', schema: { type: 'string', enum: ['fts5'] }, description: 'Pass `q` to FTS5 as a raw query' },
+  older_than_days: { in: 'query', required: true, schema: { type: 'integer', minimum: 0 }, description: 'Purge rows trashed at least this many days ago' },
+  format: { in: 'query', schema: { type: 'string', enum: Object.keys(EXPORT_FORMATS) }, description: 'File format (import: csv or ndjson)' },
+  columns: { in: 'query', schema: { type: 'string' }, description: 'Comma-separated columns to export' },
+  mode: { in: 'query', schema: { type: 'string', enum: IMPORT_MODES }, description: 'Import mode' },
+  dry_run: { in: 'query', schema: { type: 'boolean' }, description: 'Validate without writing' },
+  table: { in: 'query', schema: { type: 'string' }, description: 'Table name' },
+  record_id: { in: 'query', schema: { type: 'integer' }, description: 'Record id' },
+  operation: { in: 'query', schema: { type: 'string' }, description: 'Operation' },
+  actor: { in: 'query', schema: { type: 'string' }, description: 'Key id of the caller' },
+  request_id: { in: 'query', schema: { type: 'string' }, description: 'Request id' },
+  since: { in: 'query', schema: { type: 'string' }, description: 'Start of the time range' },
+  until: { in: 'query', schema: { type: 'string' }, description: 'End of the time range' },
+  before_id: { in: 'query', schema: { type: 'integer' }, description: 'Paging: `next_before_id` of the previous page' },
+  status: { in: 'query', schema: { type: 'string', enum: ['pending', 'delivered', 'failed'] }, description: 'Delivery status' },
+
+  'If-None-Match': { in: 'header', schema: { type: 'string' }, description: 'ETag of a cached copy; answered with 304 when unchanged' },
+  'If-Match': { in: 'header', schema: { type: 'string' }, description: 'ETag the record must still have; answered with 412 otherwise' },
+};
+
+/**
+ * Builds the component schemas of the OpenAPI document from the same constants the handlers validate against.
+ * @returns {object}
+ */
+function buildOpenApiSchemas() {
+  const columnTypes = {
+    string: { type: ['string', 'null'] },
+    integer: { type: ['integer', 'null'] },
+    number: { type: ['number', 'null'] },
+    datetime: { type: ['string', 'null'], description: 'SQLite timestamp, defaults to CURRENT_TIMESTAMP' },
+  };
+  const columns = Object.fromEntries(EXPORT_COLUMNS.filter(column => column !== 'id')
+    .map(column => [column, columnTypes[SCHEMA_DEFAULT_TYPES[column[0]]]]));
+  const operator = schema => ({ type: 'object', minProperties: 1, maxProperties: 1, properties: schema });
+
+  return {
+    Envelope: {
+      type: 'object',
+      required: ['code'],
+      properties: {
+        code: { type: ['integer', 'string'], description: '0 = success, otherwise an error code (see Error)' },
+        message: { type: 'string' },
+        data: {},
+      },
+    },
+    Error: {
+      type: 'object',
+      required: ['code', 'message'],
+      properties: {
+        code: { type: 'string', enum: ERROR_CODES, description: 'Machine-readable error code' },
+        message: { type: 'string' },
+        data: { type: 'object', properties: { details: {} } },
+      },
+    },
+    Record: {
+      type: 'object',
+      description: 'The fixed column schema every table shares. Tables with a schema setting use field names instead (see `?raw=true`).',
+      properties: { id: { type: 'integer' }, ...columns, [SOFT_DELETE_COLUMN]: { type: ['string', 'null'], description: 'Only on soft-delete tables' } },
+    },
+    RecordList: { type: 'array', items: { $ref: '#/components/schemas/Record' } },
+    RecordInput: {
+      type: 'object',
+      description: 'Any of the fixed columns (an explicit `id` must be above the reserved range), or the field names of the table schema.',
+      properties: { id: { type: 'integer', minimum: RESERVED_MAX_ID + 1 }, ...columns },
+    },
+    RecordPatch: {
+      type: 'object',
+      description: 'Plain values are set as-is; objects apply a field operator.',
+      additionalProperties: {
+        oneOf: [
+          { not: { type: 'object' } },
+          ...Object.keys(PATCH_OPERATORS).map(name => operator({ [name]: name === '$jsonSet' ? { type: 'object' } : {} })),
+        ],
+      },
+    },
+    BatchOperations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['op'],
+        properties: {
+          op: { type: 'string', enum: BATCH_OPERATIONS },
+          id: { type: 'integer' },
+          on: { type: 'string', enum: ['c1', 'id'] },
+          data: { $ref: '#/components/schemas/RecordInput' },
+        },
+      },
+    },
+    ImportRows: { type: 'string', description: 'CSV with a header row, or one JSON object per line' },
+    CreateTable: {
+      type: 'object',
+      required: ['tableName'],
+      properties: { tableName: { type: 'string', pattern: IDENTIFIER_PATTERN.source }, c1Unique: { type: 'boolean', default: false } },
+    },
+    TableSettings: {
+      type: 'object',
+      description: 'A null value removes a setting.',
+      properties: {
+        owner_column: { type: ['string', 'null'], enum: [...OWNER_COLUMNS, null] },
+        soft_delete: { type: ['boolean', 'null'] },
+        audit: { type: ['boolean', 'null'] },
+        schema: { type: ['object', 'null'], additionalProperties: { type: 'object', properties: { column: { type: 'string' }, type: { enum: Object.keys(SCHEMA_FIELD_TYPES) } } } },
+        cache_ttl: { type: ['integer', 'null'], minimum: 1, maximum: CACHE_MAX_TTL },
+        search_columns: { type: ['array', 'null'], items: { enum: SEARCH_COLUMNS } },
+      },
+      additionalProperties: false,
+    },
+    IndexDefinition: {
+      type: 'object',
+      required: ['columns'],
+      properties: {
+        name: { type: 'string', pattern: IDENTIFIER_PATTERN.source },
+        columns: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: INDEX_MAX_COLUMNS },
+        unique: { type: 'boolean' },
+        where: { type: 'object', description: 'Partial index condition, e.g. `{ "i1": { "gt": 0 } }`' },
+      },
+    },
+    ApiKeyDefinition: {
+      type: 'object',
+      required: ['tables', 'operations'],
+      properties: {
+        name: { type: 'string', maxLength: 100 },
+        tables: { type: 'array', items: { type: 'string', pattern: TABLE_PATTERN.source }, minItems: 1 },
+        operations: { type: 'array', items: { enum: KEY_OPERATIONS }, minItems: 1 },
+        expires_at: { type: 'string' },
+        expires_in_days: { type: 'number' },
+      },
+    },
+    WebhookDefinition: {
+      type: 'object',
+      required: ['table', 'url'],
+      properties: {
+        table: { type: 'string', pattern: IDENTIFIER_PATTERN.source },
+        url: { type: 'string', format: 'uri' },
+        events: { type: 'array', items: { enum: WEBHOOK_EVENTS }, minItems: 1 },
+        secret: { type: 'string', minLength: 16 },
+      },
+    },
+    RateLimits: {
+      type: 'object',
+      properties: {
+        ...Object.fromEntries(RATE_LIMIT_BUCKETS.map(bucket => [bucket, {
+          type: 'object',
+          required: ['limit'],
+          properties: {
+            limit: { type: 'integer', minimum: 1 },
+            window: { type: 'integer', minimum: 1, maximum: RATE_LIMIT_MAX_WINDOW, default: RATE_LIMIT_DEFAULT_WINDOW },
+          },
+        }])),
+        daily_rows: { type: 'integer', minimum: 1 },
+      },
+      minProperties: 1,
+      additionalProperties: false,
+    },
+  };
+}
+
+/**
+ * Builds the OpenAPI 3.1 document of the API from `ROUTES`.
+ * @param {string} origin - The origin the Worker is served from, used as the server URL.
+ * @returns {object}
+ */
+function buildOpenApiDocument(origin) {
+  const errorResponse = description => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+  const errorDescriptions = {
+    304: 'Not modified',
+    400: 'Invalid request',
+    401: 'Missing or invalid token',
+    403: 'The token lacks the required permission',
+    404: 'Unknown table, record or resource',
+    409: 'Conflict with existing data or missing system storage',
+    412: 'The record no longer matches If-Match',
+    429: 'Rate limit or daily quota exceeded',
+    500: 'Database or internal error',
+  };
+
+  const paths = {};
+  for (const route of ROUTES) {
+    const parameters = [
+      ...[...route.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({ name, in: 'path', required: true, ...OPENAPI_PATH_PARAMETERS[name] })),
+      ...(route.params || []).map(name => ({ name, required: false, ...OPENAPI_PARAMETERS[name] })),
+    ];
+
+    const status = route.status || 200;
+    const data = route.response ? { $ref: `#/components/schemas/${route.response}` } : {};
+    const responses = {
+      [status]: {
+        description: 'Success',
+        content: {
+          'application/json': {
+            schema: { allOf: [{ $ref: '#/components/schemas/Envelope' }, { type: 'object', properties: { code: { const: 0 }, data } }] },
+          },
+        },
+      },
+    };
+    if (route.path.endsWith('/export')) {
+      responses[status].content = Object.fromEntries(Object.values(EXPORT_FORMATS).map(({ contentType }) => [contentType.split(';')[0], { schema: { type: 'string' } }]));
+    }
+    const errors = route.permission === 'public' ? [...(route.errors || []), 500] : [...(route.errors || []), 401, 403, 429, 500];
+    for (const code of errors.sort((a, b) => a - b)) {
+      responses[code] = code === 304 ? { description: errorDescriptions[code] } : errorResponse(errorDescriptions[code]);
+    }
+
+    const operation = {
+      tags: [route.tag],
+      summary: route.summary,
+      operationId: `${route.method.toLowerCase()}${route.path.replace(/^\/api/, '').replace(/[^A-Za-z0-9]+(\w)?/g, (_, c = '') => c.toUpperCase()) || 'Api'}`,
+      description: route.permission === 'public' ? 'No token required.' : `Permission: \`${route.permission}\`.`,
+      'x-permission': route.permission,
+      parameters,
+      responses,
+    };
+    if (route.permission === 'public') {
+      operation.security = [];
+    }
+    if (route.deprecated) {
+      operation.deprecated = true;
+    }
+    if (route.body === 'ImportRows') {
+      operation.requestBody = { required: true, content: { 'text/csv': { schema: { type: 'string' } }, 'application/x-ndjson': { schema: { type: 'string' } } } };
+    } else if (route.body) {
+      operation.requestBody = { required: true, content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.body}` } } } };
+    }
+    paths[route.path] = { ...paths[route.path], [route.method.toLowerCase()]: operation };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Dage D1 Cloudflare Worker API',
+      // The document changes with the schema version
+      version: String(DB_VERSION),
+      description: 'REST API for D1 tables with a fixed column schema. Every JSON response uses the `{ code, message, data }` envelope.',
+    },
+    servers: [{ url: origin }],
+    tags: [...new Set(ROUTES.map(route => route.tag))].map(name => ({ name })),
+    security: [{ token: [] }, { jwt: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        token: { type: 'http', scheme: 'bearer', description: '`WRITE_TOKEN`, `READ_ONLY_TOKEN`, or a scoped API key (`dk_<id>_<secret>`)' },
+        jwt: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'HS256/RS256/ES256 token; `scope` and `tables` claims map to operations and tables' },
+      },
+      schemas: buildOpenApiSchemas(),
+    },
+  };
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    const response = await handleRequest(request, env, ctx);
+    return withCorsHeaders(request, env, response);
+  },
+
+  // Cron trigger: sends the webhook deliveries that are due (see `redriveWebhookDeliveries`)
+  async scheduled(controller, env, ctx) {
+    if (!env.DB) {
+      return;
+    }
+    ctx.waitUntil(redriveWebhookDeliveries(env).catch(error => {
+      console.error('Error re-driving webhook deliveries:', error);
+    }));
+  },
+};
+
+/**
+ * Dispatches a request through `ROUTES`. Unknown paths get 404 and unsupported methods 405 with an `Allow`
+ * header, both before authentication; OPTIONS answers CORS preflights. Every other request is authenticated
+ * and counted against the caller's rate limit, unless its route is public.
+ * @param {Request} request - The incoming HTTP request.
+ * @param {Env} env - The environment.
+ * @param {ExecutionContext} ctx - The Worker execution context.
+ * @returns {Promise<Response>}
+ */
+async function handleRequest(request, env, ctx) {
+  // Ensure the D1 binding is available
+  if (!env.DB) {
+    return jsonResponse(1, 'D1 database binding not found.', null, 500);
+  }
+
+  const url = new URL(request.url);
+  const { route, params, methods } = matchRoute(request.method, url.pathname);
+  if (methods.length === 0) {
+    return jsonResponse('ROUTE_NOT_FOUND', `No route matches '${url.pathname}'. GET /api lists every route.`, null, 404);
+  }
+  const allow = [...methods, 'OPTIONS'].join(', ');
+  // Preflights carry no credentials; `withCorsHeaders` adds the Access-Control-* headers
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: { Allow: allow } });
+  }
+  if (!route) {
+    return jsonResponse(1, `Method ${request.method} is not allowed on '${url.pathname}'.`, null, 405, { Allow: allow });
+  }
+
+  const context = { request, env, ctx, auth: null, url, params };
+  // The API description is public, so clients can be generated without a token
+  if (route.permission === 'public') {
+    return runRoute(route, context);
+  }
+
+  // Authenticate the request first, passing the env object
+  const auth = await authenticateRequest(request, env);
+
+  if (!auth.isAuthenticated) {
+    // Return 401 Unauthorized for missing or invalid token
+    return jsonResponse(1, auth.message, null, 401);
+  }
+
+  // Count the request against the caller's rate limit and daily row-read quota
+  const rateLimit = await checkRateLimit(env.DB, auth, request.method);
+  if (rateLimit.exceeded) {
+    return jsonResponse(1, rateLimit.message, null, 429, rateLimit.headers);
+  }
+
+  // With a quota, every query of the request is metered and the rows read are added up once the
+  // response body has been sent (export streams keep reading after the handler returns)
+  const usage = rateLimit.limits?.daily_rows ? { rowsRead: 0 } : null;
+  const response = await runRoute(route, { ...context, auth, env: usage ? { ...env, DB: meterDatabase(env.DB, usage) } : env });
+  if (!rateLimit.limits) {
+    return response;
+  }
+  let body = response.body;
+  if (usage) {
+    const recordUsage = () => recordRowReads(env.DB, auth.keyId, usage.rowsRead);
+    if (body) {
+      const { readable, writable } = new TransformStream();
+      ctx.waitUntil(body.pipeTo(writable).catch(() => null).then(recordUsage));
+      body = readable;
+    } else {
+      ctx.waitUntil(recordUsage());
+    }
+  }
+  const limited = new Response(body, response);
+  Object.entries(rateLimit.headers).forEach(([name, value]) => limited.headers.set(name, value));
+  return limited;
+}
+
+/**
+ * Matches a request against `ROUTES`. A `{name}` segment of a route path matches any single path segment,
+ * which is returned URL-decoded in `params`. When several route paths match, literal segments win over
+ * `{name}` ones from left to right, so `/api/keys/{keyId}` takes `/api/keys/trash` from `/api/{tableName}/trash`.
+ * @param {string} method - The request method.
+ * @param {string} pathname - The request path.
+ * @returns {{route: object | null, params: object, methods: string[]}} The route of the best matching path
+ *   serving the method (null when none does), its path parameters, and the methods served on that path.
+ */
+function matchRoute(method, pathname) {
+  const segments = pathname.split('/').filter(segment => segment);
+  let best = null;
+  for (const route of ROUTES) {
+    const template = route.path.split('/').filter(segment => segment);
+    if (template.length !== segments.length) {
+      continue;
+    }
+    const params = {};
+    const matches = template.every((part, i) => {
+      if (!part.startsWith('{')) {
+        return part === segments[i];
+      }
+      try {
+        params[part.slice(1, -1)] = decodeURIComponent(segments[i]);
+        return true;
+      } catch (error) {
+        // Malformed percent-encoding
+        return false;
+      }
+    });
+    if (!matches) {
+      continue;
+    }
+    // One digit per segment, 0 for a literal: the smallest rank is the most specific path
+    const rank = template.map(part => (part.startsWith('{') ? '1' : '0')).join('');
+    if (!best || rank < best.rank) {
+      best = { rank, path: route.path, params };
+    }
+  }
+  if (!best) {
+    return { route: null, params: {}, methods: [] };
+  }
+  const routes = ROUTES.filter(route => route.path === best.path);
+  return {
+    route: routes.find(route => route.method === method) || null,
+    params: best.params,
+    methods: routes.map(route => route.method),
+  };
+}
+
+/**
+ * Runs the handler of a matched route. `admin` routes are checked first and routes under `/api/{tableName}/`
+ * get the table state; whatever the handler throws is answered with an error response.
+ * @param {object} route - The matched ROUTES entry.
+ * @param {RouteContext} context - The request context.
+ * @returns {Promise<Response>}
+ */
+async function runRoute(route, context) {
+  try {
+    if (route.permission === 'admin' && !authorize(context.auth, 'admin')) {
+      return jsonResponse(1, 'Forbidden: Admin access required.', null, 403);
+    }
+    if (route.path.startsWith('/api/{tableName}/')) {
+      const tableResponse = await loadTableContext(route, context);
+      if (tableResponse) {
+        return tableResponse;
+      }
+    }
+    return await route.handler(context);
+  } catch (error) {
+    // Thrown by request.json() for a malformed body
+    if (error instanceof SyntaxError) {
+      return jsonResponse(1, 'Request body must be valid JSON.', { details: error.message }, 400);
+    }
+    console.error(`Error in ${route.method} ${route.path} endpoint:`, error);
+    const d1Error = findD1Error(error.message);
+    if (d1Error) {
+      return jsonResponse(d1Error.code, d1Error.message, { details: error.message }, d1Error.status);
+    }
+    return jsonResponse(1, 'Internal server error.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * Loads the state every `/api/{tableName}/...` route works with into the context: checks the caller may
+ * use the table, reads its settings and looks up the edge cache, then (on a miss) checks the table exists
+ * and derives the audit context and webhooks.
+ * @param {object} route - The matched ROUTES entry.
+ * @param {RouteContext} context - The request context, completed in place.
+ * @returns {Promise<Response | null>} A response that ends the request (an error or an edge cache hit), or null.
+ */
+async function loadTableContext(route, context) {
+  const { request, env, ctx, auth, url, params } = context;
+  const tableName = params.tableName;
+
+  // Scoped keys are rejected before the table lookup, so they cannot probe for other tables
+  if (!isSystemTable(tableName) && !canAccessTable(auth, tableName)) {
+    return jsonResponse(1, `Forbidden: this key has no access to table '${tableName}'.`, null, 403);
+  }
+
+  // Every table route interpolates tableName into SQL, so check it is a safe identifier first
+  const invalidName = await validateTableName(env.DB, tableName, false);
+  if (invalidName) {
+    return invalidName;
+  }
+
+  // System tables are read-only through the generic routes, and only for admin tokens
+  if (isSystemTable(tableName) && (request.method !== 'GET' || !authorize(auth, 'admin'))) {
+    return jsonResponse(1, `Forbidden: '${tableName}' is a system table.`, null, 403);
+  }
+
+  // In ownership mode, API keys and JWTs only see and touch the rows stamped with their identity;
+  // in soft-delete mode, trashed rows are hidden from everything except the trash routes
+  const { settings, cacheVersion } = await getTableState(env.DB, tableName);
+  const scope = getRowScope(settings, auth);
+
+  // Read-through edge cache for the `cache` routes (records, count and max_id) of tables with `cache_ttl`.
+  // It is looked up before anything else is read: a version only exists while the table's settings row
+  // does, and dropping the table removes that row.
+  const edgeCache = await openEdgeCache(request, ctx, {
+    url,
+    cacheable: Boolean(route.cache) && authorize(auth, 'read', tableName),
+    settings,
+    version: cacheVersion,
+    scope,
+  });
+  if (edgeCache.hit) {
+    return edgeCache.hit;
+  }
+
+  const invalidTable = await validateTableName(env.DB, tableName);
+  if (invalidTable) {
+    return invalidTable;
+  }
+  const audit = createAuditContext(settings, auth);
+  // Webhook subscriptions are only needed by the write routes
+  const webhooks = request.method === 'GET' ? [] : await getWebhooks(env.DB, tableName, true);
+  // With a schema, the records routes speak field names; `?raw=true` returns plain columns
+  const outputSchema = url.searchParams.get('raw') === 'true' ? undefined : settings.schema;
+
+  const id = params.id !== undefined ? parseInt(params.id) : null;
+  Object.assign(context, { tableName, id, settings, scope, audit, webhooks, outputSchema, edgeCache });
+  return null;
+}
+
+/**
+ * Checks that the system table of a feature added by a migration exists.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The system table.
+ * @param {string} label - What the table stores, for the error message (e.g. 'API key').
+ * @returns {Promise<Response | null>} An error response when the table is missing, otherwise null.
+ */
+async function checkSystemStorage(db, tableName, label) {
+  if (!(await tableExists(db, tableName))) {
+    return jsonResponse('NOT_INITIALIZED', `${label} storage is missing. Run POST /api/initsystem or POST /api/system/migrate first.`, null, 400);
+  }
+  return null;
+}
+
+/**
+ * Adds the CORS headers to a response when the request comes from an origin listed in `CORS_ORIGINS`
+ * (comma-separated origins, or `*` for any). Preflight answers also get the allowed methods and headers.
+ * @param {Request} request - The incoming HTTP request.
+ * @param {Env} env - The environment.
+ * @param {Response} response - The response to send.
+ * @returns {Response}
+ */
+function withCorsHeaders(request, env, response) {
+  const origin = request.headers.get('Origin');
+  const allowedOrigins = String(env.CORS_ORIGINS || '').split(',').map(value => value.trim()).filter(value => value);
+  const anyOrigin = allowedOrigins.includes('*');
+  if (!origin || (!anyOrigin && !allowedOrigins.includes(origin))) {
+    return response;
+  }
+  const corsResponse = new Response(response.body, response);
+  corsResponse.headers.set('Access-Control-Allow-Origin', anyOrigin ? '*' : origin);
+  corsResponse.headers.set('Access-Control-Expose-Headers', CORS_EXPOSED_HEADERS.join(', '));
+  corsResponse.headers.append('Vary', 'Origin');
+  if (request.method === 'OPTIONS' && response.status === 204) {
+    corsResponse.headers.set('Access-Control-Allow-Methods', response.headers.get('Allow'));
+    corsResponse.headers.set('Access-Control-Allow-Headers', CORS_ALLOWED_HEADERS.join(', '));
+    corsResponse.headers.set('Access-Control-Max-Age', String(CORS_MAX_AGE));
+  }
+  return corsResponse;
+}
+
+/**
+ * The argument of every route handler.
+ * Routes under `/api/{tableName}/` also get `tableName`, `id` and the table state from `loadTableContext`.
+ * @typedef {object} RouteContext
+ * @property {Request} request - The incoming HTTP request.
+ * @property {Env} env - The environment (`DB` is metered when the caller has a row-read quota).
+ * @property {ExecutionContext} ctx - The Worker execution context.
+ * @property {object | null} auth - The result of `authenticateRequest` (null on public routes).
+ * @property {URL} url - The parsed request URL.
+ * @property {Object<string, string>} params - The URL-decoded path parameters of the route.
+ * @property {string} [tableName] - The validated table name.
+ * @property {number | null} [id] - The record id of `/records/{id}` routes (NaN when not a number).
+ * @property {object} [settings] - The table settings.
+ * @property {object | null} [scope] - The row scope (see `getRowScope`).
+ * @property {object | null} [audit] - The audit context (see `createAuditContext`).
+ * @property {object[]} [webhooks] - The webhook subscriptions of the table (empty for GET).
+ * @property {object} [outputSchema] - The schema records are returned with (undefined with `?raw=true`).
+ * @property {object} [edgeCache] - The edge cache of the request (see `openEdgeCache`).
+ */
+
+/**
+ * `GET /api`: describes the API and lists its routes.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleApiIndex({ url }) {
+  return jsonResponse(0, null, {
+    message: 'Welcome to the D1 API!',
+    schema_version: DB_VERSION,
+    openapi: `${url.origin}/api/openapi.json`,
+    routes: ROUTES.map(({ method, path, summary, permission }) => ({ method, path, summary, permission })),
+  });
+}
+
+/**
+ * `GET /api/openapi.json`: serves the OpenAPI 3.1 document generated from `ROUTES`.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleOpenApiDocument({ url }) {
+  return new Response(JSON.stringify(buildOpenApiDocument(url.origin)), {
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * `GET /api/tables`: lists the tables the caller may see.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleListTables({ env, auth, url }) {
+  if (!auth.canRead) {
+    return jsonResponse(1, 'Forbidden: Read access required to list tables.', null, 403);
+  }
+  // System tables are only listed for admin tokens that ask for them
+  const includeSystem = url.searchParams.get('include_system') === 'true';
+  if (includeSystem && !authorize(auth, 'admin')) {
+    return jsonResponse(1, 'Forbidden: Write access required to list system tables.', null, 403);
+  }
+  try {
+    // Scoped keys only see the tables they are granted
+    const tables = (await listTables(env.DB, includeSystem)).filter(name => canAccessTable(auth, name));
+    return jsonResponse(0, null, { tables: tables });
+  } catch (error) {
+    console.error('Error in /api/tables endpoint:', error);
+    return jsonResponse(1, 'Internal server error while listing tables.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `DELETE /api/tables/{tableName}`: drops a table with its settings, search index and webhooks.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleDropTable({ env, auth, params }) {
+  const tableNameToDrop = params.tableName;
+  if (!authorize(auth, 'ddl', tableNameToDrop)) {
+    return jsonResponse(1, 'Forbidden: Write access required to drop tables.', null, 403);
+  }
+  const invalidTable = await validateTableName(env.DB, tableNameToDrop);
+  if (invalidTable) {
+    return invalidTable;
+  }
+  if (isSystemTable(tableNameToDrop)) {
+    return jsonResponse(1, `Forbidden: '${tableNameToDrop}' is a system table and cannot be dropped.`, null, 403);
+  }
+  try {
+    const dropResult = await dropTable(env.DB, tableNameToDrop);
+    if (dropResult.success) {
+      await saveTableSettings(env.DB, tableNameToDrop, {}).catch(() => null);
+      // The triggers went with the table; the search index and webhooks have to be removed on their own
+      await buildSearchIndex(env.DB, tableNameToDrop, null).catch(() => null);
+      for (const webhook of await getWebhooks(env.DB, tableNameToDrop).catch(() => [])) {
+        await deleteWebhook(env.DB, webhook.id).catch(() => null);
+      }
+      return jsonResponse(0, null, { message: `Table '${tableNameToDrop}' dropped successfully.`, results: dropResult });
+    } else {
+      return jsonResponse(1, 'Failed to drop table.', { details: dropResult.error }, 500);
+    }
+  } catch (error) {
+    console.error('Error in /api/tables/:tableName endpoint:', error);
+    return jsonResponse(1, 'Internal server error during table drop.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `POST /api/initsystem`: creates the system table and applies pending migrations.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleInitSystem({ env }) {
+  try {
+    // Safe to call repeatedly: the table and reserved rows are only created when missing
+    const createResult = await createTable(env.DB, DB_DA_SYSTEM_TABLENAME, true);
+    if (createResult.every(r => r.success)) {
+      await daSystemTableInit(env.DB);
+      const migration = await runMigrations(env.DB);
+      return jsonResponse(0, null, { message: `system init successfully.`, version: migration.to, migrations: migration.applied, results: createResult }, 201);
+    } else {
+      return jsonResponse(1, 'Failed to create table or insert initial data. Some operations failed.', createResult, 500);
+    }
+  } catch (error) {
+    console.error('Error in create-table endpoint:', error);
+    return jsonResponse(1, 'Internal server error during table creation.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `GET /api/system/status`: reports the stored and target schema versions.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleSystemStatus({ env, auth }) {
+  if (!authorize(auth, 'read')) {
+    return jsonResponse(1, 'Forbidden: Read access required to view system status.', null, 403);
+  }
+  try {
+    const currentVersion = await getSchemaVersion(env.DB);
+    const pending = currentVersion === null ? [] : getPendingMigrations(currentVersion);
+    return jsonResponse(0, null, {
+      initialized: currentVersion !== null,
+      current_version: currentVersion,
+      target_version: DB_VERSION,
+      pending: pending.map(({ version, description }) => ({ version, description })),
+    });
+  } catch (error) {
+    console.error('Error in /api/system/status endpoint:', error);
+    return jsonResponse(1, 'Internal server error while reading system status.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `POST /api/system/migrate`: applies pending migrations.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleMigrate({ env }) {
+  try {
+    if ((await getSchemaVersion(env.DB)) === null) {
+      return jsonResponse('NOT_INITIALIZED', 'System is not initialized. Call POST /api/initsystem first.', null, 400);
+    }
+    const migration = await runMigrations(env.DB);
+    const message = migration.applied.length > 0
+      ? `Migrated from version ${migration.from} to ${migration.to}.`
+      : `Already at version ${migration.to}.`;
+    return jsonResponse(0, null, { message, ...migration });
+  } catch (error) {
+    console.error('Error in /api/system/migrate endpoint:', error);
+    return jsonResponse(1, 'Migration failed. No changes were applied.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `GET /api/keys`: lists the API keys.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleListKeys({ env }) {
+  const missingStorage = await checkSystemStorage(env.DB, DB_DA_API_KEYS_TABLENAME, 'API key');
+  if (missingStorage) {
+    return missingStorage;
+  }
+  try {
+    const keys = await listApiKeys(env.DB);
+    return jsonResponse(0, null, { keys });
+  } catch (error) {
+    console.error('Error in /api/keys endpoint:', error);
+    return jsonResponse(1, 'Internal server error while managing API keys.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `POST /api/keys`: creates a scoped API key and returns its token once.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleCreateKey({ request, env }) {
+  const missingStorage = await checkSystemStorage(env.DB, DB_DA_API_KEYS_TABLENAME, 'API key');
+  if (missingStorage) {
+    return missingStorage;
+  }
+  let definition;
+  try {
+    definition = parseApiKeyDefinition(await request.json());
+  } catch (error) {
+    return jsonResponse(1, 'Invalid API key definition.', { details: error.message }, 400);
+  }
+  try {
+    const key = await createApiKey(env.DB, definition);
+    return jsonResponse(0, 'Store this token now; it cannot be shown again.', key, 201);
+  } catch (error) {
+    console.error('Error in /api/keys endpoint:', error);
+    return jsonResponse(1, 'Internal server error while managing API keys.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `DELETE /api/keys/{keyId}`: revokes an API key.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleRevokeKey({ env, params }) {
+  const missingStorage = await checkSystemStorage(env.DB, DB_DA_API_KEYS_TABLENAME, 'API key');
+  if (missingStorage) {
+    return missingStorage;
+  }
+  const { keyId } = params;
+  try {
+    if (!(await revokeApiKey(env.DB, keyId))) {
+      return jsonResponse(1, `API key '${keyId}' not found or already revoked.`, null, 404);
+    }
+    return jsonResponse(0, null, { message: `API key '${keyId}' revoked.` });
+  } catch (error) {
+    console.error('Error in /api/keys endpoint:', error);
+    return jsonResponse(1, 'Internal server error while managing API keys.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `GET /api/audit`: queries the audit log.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleQueryAuditLog({ env, url }) {
+  const missingStorage = await checkSystemStorage(env.DB, DB_DA_AUDIT_TABLENAME, 'Audit log');
+  if (missingStorage) {
+    return missingStorage;
+  }
+  try {
+    const result = await queryAuditLog(env.DB, url.searchParams);
+    return jsonResponse(0, null, result);
+  } catch (error) {
+    console.error('Error in /api/audit endpoint:', error);
+    if (error.message.includes('must be a valid date')) {
+      return jsonResponse(1, 'Invalid audit query.', { details: error.message }, 400);
+    }
+    return jsonResponse(1, 'Internal server error while querying the audit log.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `GET /api/webhooks`: lists the webhook subscriptions, optionally of one table.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleListWebhooks({ env, url }) {
+  const missingStorage = await checkSystemStorage(env.DB, DB_DA_WEBHOOK_DELIVERIES_TABLENAME, 'Webhook');
+  if (missingStorage) {
+    return missingStorage;
+  }
+  try {
+    const webhooks = await getWebhooks(env.DB, url.searchParams.get('table'));
+    return jsonResponse(0, null, { webhooks });
+  } catch (error) {
+    console.error('Error in /api/webhooks endpoint:', error);
+    return jsonResponse(1, 'Internal server error while managing webhooks.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `POST /api/webhooks`: subscribes a URL to the changes of a table and returns its secret once.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleCreateWebhook({ request, env }) {
+  const missingStorage = await checkSystemStorage(env.DB, DB_DA_WEBHOOK_DELIVERIES_TABLENAME, 'Webhook');
+  if (missingStorage) {
+    return missingStorage;
+  }
+  let definition;
+  try {
+    definition = parseWebhookDefinition(await request.json());
+  } catch (error) {
+    return jsonResponse(1, 'Invalid webhook definition.', { details: error.message }, 400);
+  }
+  try {
+    if (!(await tableExists(env.DB, definition.table))) {
+      return jsonResponse('TABLE_NOT_FOUND', `Table '${definition.table}' not found.`, null, 404);
+    }
+    const webhook = await createWebhook(env.DB, definition);
+    return jsonResponse(0, 'Store this secret now; it cannot be shown again.', webhook, 201);
+  } catch (error) {
+    console.error('Error in /api/webhooks endpoint:', error);
+    return jsonResponse(1, 'Internal server error while managing webhooks.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `DELETE /api/webhooks/{webhookId}`: deletes a webhook subscription.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleDeleteWebhook({ env, params }) {
+  const missingStorage = await checkSystemStorage(env.DB, DB_DA_WEBHOOK_DELIVERIES_TABLENAME, 'Webhook');
+  if (missingStorage) {
+    return missingStorage;
+  }
+  const { webhookId } = params;
+  try {
+    if (!(await deleteWebhook(env.DB, webhookId))) {
+      return jsonResponse(1, `Webhook '${webhookId}' not found.`, null, 404);
+    }
+    return jsonResponse(0, null, { message: `Webhook '${webhookId}' deleted.` });
+  } catch (error) {
+    console.error('Error in /api/webhooks endpoint:', error);
+    return jsonResponse(1, 'Internal server error while managing webhooks.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `GET /api/webhooks/{webhookId}/deliveries`: lists the delivery log of a webhook.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleListWebhookDeliveries({ env, url, params }) {
+  const missingStorage = await checkSystemStorage(env.DB, DB_DA_WEBHOOK_DELIVERIES_TABLENAME, 'Webhook');
+  if (missingStorage) {
+    return missingStorage;
+  }
+  try {
+    const result = await queryWebhookDeliveries(env.DB, params.webhookId, url.searchParams);
+    return jsonResponse(0, null, result);
+  } catch (error) {
+    console.error('Error in /api/webhooks endpoint:', error);
+    return jsonResponse(1, 'Internal server error while managing webhooks.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `GET /api/rate-limits`: lists the rate limits and the current usage of every key.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleListRateLimits({ env }) {
+  const missingStorage = await checkSystemStorage(env.DB, DB_DA_RATE_LIMITS_TABLENAME, 'Rate limit');
+  if (missingStorage) {
+    return missingStorage;
+  }
+  try {
+    const limits = await listRateLimits(env.DB);
+    const usage = await getRateLimitUsage(env.DB);
+    return jsonResponse(0, null, { limits, usage });
+  } catch (error) {
+    console.error('Error in /api/rate-limits endpoint:', error);
+    return jsonResponse(1, 'Internal server error while managing rate limits.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `GET /api/rate-limits/{key}`: returns the limits that apply to a key and its current usage.
+ * Key ids are API key ids, `jwt:<sub>`, `env:READ_ONLY_TOKEN`, or `*` for the default.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleGetRateLimits({ env, params }) {
+  const missingStorage = await checkSystemStorage(env.DB, DB_DA_RATE_LIMITS_TABLENAME, 'Rate limit');
+  if (missingStorage) {
+    return missingStorage;
+  }
+  const { key } = params;
+  try {
+    const entry = await getRateLimits(env.DB, key);
+    const [usage = null] = await getRateLimitUsage(env.DB, key);
+    return jsonResponse(0, null, { key, limits: entry ? entry.limits : null, limits_key: entry ? entry.key : null, usage });
+  } catch (error) {
+    console.error('Error in /api/rate-limits endpoint:', error);
+    return jsonResponse(1, 'Internal server error while managing rate limits.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `PUT /api/rate-limits/{key}`: sets the rate limits of a key.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleSetRateLimits({ request, env, params }) {
+  const missingStorage = await checkSystemStorage(env.DB, DB_DA_RATE_LIMITS_TABLENAME, 'Rate limit');
+  if (missingStorage) {
+    return missingStorage;
+  }
+  const { key } = params;
+  if (key === 'env:WRITE_TOKEN') {
+    return jsonResponse(1, 'The admin token is never rate limited.', null, 400);
+  }
+  let limits;
+  try {
+    limits = parseRateLimitDefinition(await request.json());
+  } catch (error) {
+    return jsonResponse(1, 'Invalid rate limit definition.', { details: error.message }, 400);
+  }
+  try {
+    await saveRateLimits(env.DB, key, limits);
+    return jsonResponse(0, null, { key, ...limits });
+  } catch (error) {
+    console.error('Error in /api/rate-limits endpoint:', error);
+    return jsonResponse(1, 'Internal server error while managing rate limits.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `DELETE /api/rate-limits/{key}`: removes the rate limits of a key and resets its counters.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleDeleteRateLimits({ env, params }) {
+  const missingStorage = await checkSystemStorage(env.DB, DB_DA_RATE_LIMITS_TABLENAME, 'Rate limit');
+  if (missingStorage) {
+    return missingStorage;
+  }
+  const { key } = params;
+  try {
+    if (!(await deleteRateLimits(env.DB, key))) {
+      return jsonResponse(1, `No rate limits set for '${key}'.`, null, 404);
+    }
+    return jsonResponse(0, null, { message: `Rate limits of '${key}' deleted.` });
+  } catch (error) {
+    console.error('Error in /api/rate-limits endpoint:', error);
+    return jsonResponse(1, 'Internal server error while managing rate limits.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `POST /api/create-table`: creates a table with the fixed column schema.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleCreateTable({ request, env, auth }) {
+  if (!authorize(auth, 'ddl')) {
+    return jsonResponse(1, 'Forbidden: Write access required to create tables.', null, 403);
+  }
+  try {
+    const { tableName, c1Unique } = await request.json();
+    if (!tableName) {
+      return jsonResponse(1, 'tableName is required.', null, 400);
+    }
+    if (!authorize(auth, 'ddl', tableName)) {
+      return jsonResponse(1, `Forbidden: this key cannot create table '${tableName}'.`, null, 403);
+    }
+    const invalidTable = await validateTableName(env.DB, tableName, false);
+    if (invalidTable) {
+      return invalidTable;
+    }
+    if (isSystemTable(tableName)) {
+      return jsonResponse(1, `Forbidden: the '${SYSTEM_TABLE_PREFIX}' prefix is reserved for system tables.`, null, 403);
+    }
+    if (isReservedTableName(tableName)) {
+      return jsonResponse('INVALID_TABLE_NAME', `Invalid table name '${tableName}': /api/${tableName.toLowerCase()} is a route of the API.`, null, 400);
+    }
+    const createResult = await createTable(env.DB, tableName, c1Unique);
+    if (createResult.every(r => r.success)) {
+      return jsonResponse(0, null, { message: `Table '${tableName}' created successfully with initial data.`, results: createResult }, 201);
+    } else {
+      return jsonResponse(1, 'Failed to create table or insert initial data. Some operations failed.', createResult, 500);
+    }
+  } catch (error) {
+    console.error('Error in create-table endpoint:', error);
+    return jsonResponse(1, 'Internal server error during table creation.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `GET /api/{tableName}/settings`: returns the settings of a table.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleGetSettings({ auth, tableName, settings }) {
+  if (!authorize(auth, 'read', tableName)) {
+    return jsonResponse(1, 'Forbidden: Read access required to view table settings.', null, 403);
+  }
+  return jsonResponse(0, null, { settings });
+}
+
+/**
+ * `PUT /api/{tableName}/settings`: merges new settings into a table and applies them.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleUpdateSettings({ request, env, tableName, settings }) {
+  let newSettings;
+  try {
+    newSettings = mergeTableSettings(settings, await request.json());
+  } catch (error) {
+    return jsonResponse(1, 'Invalid table settings.', { details: error.message }, 400);
+  }
+  try {
+    if (newSettings.audit && !(await tableExists(env.DB, DB_DA_AUDIT_TABLENAME))) {
+      return jsonResponse('NOT_INITIALIZED', 'Audit log storage is missing. Run POST /api/system/migrate first.', null, 409);
+    }
+    if (newSettings.soft_delete) {
+      await ensureSoftDeleteColumn(env.DB, tableName);
+    }
+    if (Boolean(newSettings.cache_ttl) !== Boolean(settings.cache_ttl)) {
+      await buildCacheTriggers(env.DB, tableName, Boolean(newSettings.cache_ttl));
+    }
+    if (JSON.stringify(newSettings.search_columns) !== JSON.stringify(settings.search_columns)) {
+      await buildSearchIndex(env.DB, tableName, newSettings.search_columns || null);
+    }
+    await saveTableSettings(env.DB, tableName, newSettings);
+    return jsonResponse(0, null, { message: `Settings of table '${tableName}' updated successfully.`, settings: newSettings });
+  } catch (error) {
+    console.error(`Error in /api/${tableName}/settings endpoint:`, error);
+    if (error.message.includes('no such table')) {
+      return jsonResponse('NOT_INITIALIZED', 'System table not found. Run /api/initsystem first.', { details: error.message }, 409);
+    }
+    return jsonResponse(1, 'Internal server error while saving table settings.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `GET /api/{tableName}/count`: counts records.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleCount({ env, auth, url, tableName, scope, edgeCache }) {
+  if (!authorize(auth, 'read', tableName)) {
+    return jsonResponse(1, 'Forbidden: Read access required to count records.', null, 403);
+  }
+  try {
+    const minId = url.searchParams.has('min_id') ? parseInt(url.searchParams.get('min_id')) : undefined;
+    const maxId = url.searchParams.has('max_id') ? parseInt(url.searchParams.get('max_id')) : undefined; // This maxId is for filtering, not the function call
+    const count = await countRecords(env.DB, tableName, { minId, maxId, scope });
+    return edgeCache.store(jsonResponse(0, null, { count: count }));
+  } catch (error) {
+    console.error(`Error in /api/${tableName}/count endpoint:`, error);
+    return jsonResponse(1, 'Internal server error while counting records.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `GET /api/{tableName}/max_id`: returns the highest record id.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleMaxId({ env, auth, tableName, scope, edgeCache }) {
+  if (!authorize(auth, 'read', tableName)) {
+    return jsonResponse(1, 'Forbidden: Read access required to get max ID.', null, 403);
+  }
+  try {
+    const maxIdValue = await getMaxId(env.DB, tableName, scope);
+    return edgeCache.store(jsonResponse(0, null, { max_id: maxIdValue }));
+  } catch (error) {
+    console.error(`Error in /api/${tableName}/max_id endpoint:`, error);
+    return jsonResponse(1, 'Internal server error while getting max ID.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `GET /api/{tableName}/aggregate`: aggregates records.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleAggregate({ env, auth, url, tableName, scope }) {
+  if (!authorize(auth, 'read', tableName)) {
+    return jsonResponse(1, 'Forbidden: Read access required to aggregate records.', null, 403);
+  }
+  let aggregate;
+  let filter;
+  try {
+    aggregate = parseAggregateParams(url.searchParams);
+    filter = parseFilterParams(url.searchParams);
+  } catch (error) {
+    return jsonResponse(1, 'Invalid aggregate query.', { details: error.message }, 400);
+  }
+  try {
+    const results = await aggregateRecords(env.DB, tableName, { ...aggregate, filter, scope });
+    return jsonResponse(0, null, { results });
+  } catch (error) {
+    console.error(`Error in /api/${tableName}/aggregate endpoint:`, error);
+    return jsonResponse(1, 'Internal server error while aggregating records.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `GET /api/{tableName}/export`: streams a table as NDJSON, CSV or JSON.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleExport({ env, auth, url, tableName, scope }) {
+  if (!authorize(auth, 'read', tableName)) {
+    return jsonResponse(1, 'Forbidden: Read access required to export records.', null, 403);
+  }
+  const format = url.searchParams.get('format') || 'ndjson';
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return jsonResponse(1, `Invalid export format '${format}'. Supported: ${Object.keys(EXPORT_FORMATS).join(', ')}`, null, 400);
+  }
+  let columns;
+  let filter;
+  try {
+    columns = parseExportColumns(url.searchParams.get('columns'));
+    filter = parseFilterParams(url.searchParams);
+  } catch (error) {
+    return jsonResponse(1, 'Invalid export query.', { details: error.message }, 400);
+  }
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  return new Response(exportRecordsStream(env.DB, tableName, { format, columns, filter, scope, pageSize: getExportPageSize(env) }), {
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${tableName}.${extension}"`,
+    },
+  });
+}
+
+/**
+ * `POST /api/{tableName}/import`: imports CSV or NDJSON rows.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleImport({ request, env, ctx, auth, url, tableName, scope, audit, webhooks }) {
+  const mode = url.searchParams.get('mode') || 'insert';
+  if (!IMPORT_MODES.includes(mode)) {
+    return jsonResponse(1, `Invalid import mode '${mode}'. Supported: ${IMPORT_MODES.join(', ')}`, null, 400);
+  }
+  const requiredOperations = { insert: ['insert'], upsert: ['insert', 'update'], replace: ['insert', 'delete'] }[mode];
+  const deniedOperations = requiredOperations.filter(op => !authorize(auth, op, tableName));
+  if (deniedOperations.length > 0) {
+    return jsonResponse(1, `Forbidden: '${mode}' import requires permission for: ${deniedOperations.join(', ')}.`, null, 403);
+  }
+  const contentType = request.headers.get('Content-Type') || '';
+  const format = url.searchParams.get('format') || (contentType.includes('csv') ? 'csv' : 'ndjson');
+  if (format !== 'csv' && format !== 'ndjson') {
+    return jsonResponse(1, `Invalid import format '${format}'. Supported: csv, ndjson`, null, 400);
+  }
+  const dryRun = url.searchParams.get('dry_run') === 'true';
+
+  let parsed;
+  try {
+    parsed = parseImportBody(await request.text(), format);
+  } catch (error) {
+    return jsonResponse(1, 'Invalid import body.', { details: error.message }, 400);
+  }
+  const total = parsed.rows.length + parsed.errors.length;
+  if (total > IMPORT_MAX_ROWS) {
+    return jsonResponse(1, `Import too large: ${total} rows (max ${IMPORT_MAX_ROWS}). Split the file into smaller parts.`, null, 400);
+  }
+  const errors = [...parsed.errors];
+  const validRows = parsed.rows.filter(row => {
+    const reason = validateImportRow(row.data, mode, scope);
+    if (reason) {
+      errors.push({ line: row.line, reason });
+    }
+    return !reason;
+  });
+
+  const summarize = (result, httpStatus = 200) => {
+    const allErrors = result.errors.sort((a, b) => a.line - b.line);
+    return jsonResponse(0, null, {
+      mode,
+      dry_run: dryRun,
+      total,
+      inserted: result.inserted,
+      updated: result.updated,
+      ...(mode === 'replace' ? { deleted: result.deleted } : {}),
+      failed: allErrors.length,
+      errors: allErrors.slice(0, IMPORT_MAX_ERRORS),
+    }, httpStatus);
+  };
+
+  if (dryRun) {
+    return summarize({ inserted: 0, updated: 0, deleted: 0, errors });
+  }
+  // Replacing a table with a partly invalid file would lose data, so nothing is written
+  if (mode === 'replace' && errors.length > 0) {
+    return jsonResponse(1, 'Replace import aborted: some rows are invalid. Nothing was written.', {
+      failed: errors.length,
+      errors: errors.sort((a, b) => a.line - b.line).slice(0, IMPORT_MAX_ERRORS),
+    }, 400);
+  }
+  // A replace commits in one transaction, which D1 only accepts up to a limited size
+  const maxReplaceRows = getBatchMaxSize(env);
+  if (mode === 'replace' && validRows.length > maxReplaceRows) {
+    return jsonResponse(1, `Replace import too large: ${validRows.length} rows (max ${maxReplaceRows}). Use insert or upsert mode for larger files.`, null, 400);
+  }
+  try {
+    const readDeleted = hasWebhooks(webhooks, 'delete');
+    const result = await importRecords(env.DB, tableName, validRows, { mode, scope, audit, readDeleted });
+    queueWebhooks(ctx, env, webhooks, tableName, result.changes);
+    result.errors.push(...errors);
+    return summarize(result);
+  } catch (error) {
+    console.error(`Error in /api/${tableName}/import endpoint:`, error);
+    if (error.message.includes('ON CONFLICT clause does not match')) {
+      return upsertErrorResponse(error);
+    }
+    // The replace transaction was rolled back as a whole; a database error in the details sets the code
+    if (mode === 'replace') {
+      return jsonResponse(1, 'Replace import aborted: the database rejected a row. Nothing was written.', { details: error.message }, 500);
+    }
+    return jsonResponse(1, 'Internal server error during import.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `POST /api/{tableName}/batch`: runs multi-record writes in one transaction.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleBatch({ request, env, ctx, auth, tableName, scope, audit, webhooks }) {
+  if (!auth.canWrite || !canAccessTable(auth, tableName)) {
+    return jsonResponse(1, 'Forbidden: Write access required to run batch operations.', null, 403);
+  }
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return jsonResponse(1, 'Request body must be valid JSON.', null, 400);
+  }
+  const operations = Array.isArray(body) ? body : body && body.operations;
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return jsonResponse(1, "Request body must contain a non-empty 'operations' array.", null, 400);
+  }
+  const maxSize = getBatchMaxSize(env);
+  if (operations.length > maxSize) {
+    return jsonResponse(1, `Batch too large: ${operations.length} operations (max ${maxSize}).`, null, 400);
+  }
+  const errors = validateBatchOperations(operations);
+  if (errors.length > 0) {
+    return jsonResponse(1, 'Invalid batch operations. Nothing was applied.', { errors }, 400);
+  }
+  // Every operation type in the batch needs its own permission (upsert needs insert and update)
+  const requiredOperations = new Set(operations.flatMap(o => (o.op === 'upsert' ? ['insert', 'update'] : [o.op])));
+  const deniedOperations = [...requiredOperations].filter(op => !authorize(auth, op, tableName));
+  if (deniedOperations.length > 0) {
+    return jsonResponse(1, `Forbidden: this key lacks permission for: ${deniedOperations.join(', ')}.`, null, 403);
+  }
+  if (operations.some(o => o.data && isForeignOwner(o.data, scope))) {
+    return jsonResponse(1, `Forbidden: '${scope.owner.column}' is the owner column and can only hold your own identity.`, null, 403);
+  }
+  try {
+    // Deleted rows are read up front, so their webhooks can carry them
+    const deleteIds = hasWebhooks(webhooks, 'delete') ? operations.filter(op => op.op === 'delete').map(op => op.id) : [];
+    const deletedRows = new Map((await getRecordsByIds(env.DB, tableName, deleteIds, scope)).map(row => [row.id, row]));
+    const results = await runBatchOperations(env.DB, tableName, operations, scope, audit);
+    queueWebhooks(ctx, env, webhooks, tableName, results.filter(result => result.changes > 0).map(result => {
+      const operation = result.op === 'upsert' ? (result.created ? 'insert' : 'update') : result.op;
+      return operation === 'delete' ? { operation, id: result.id, record: deletedRows.get(result.id) || null } : { operation, id: result.id };
+    }));
+    return jsonResponse(0, null, { message: `${results.length} operations applied.`, results });
+  } catch (error) {
+    console.error(`Error in /api/${tableName}/batch endpoint:`, error);
+    // A database error in the details sets the code (e.g. 409 UNIQUE_VIOLATION); `errors` names the operations
+    const failed = await findBatchErrors(env.DB, tableName, operations, error.message).catch(() => []);
+    const status = error.message.includes('ON CONFLICT clause does not match') ? 400 : 500;
+    return jsonResponse(1, 'Batch failed and was rolled back. No operations were applied.', { details: error.message, errors: failed }, status);
+  }
+}
+
+/**
+ * `GET /api/{tableName}/search`: full-text searches the indexed columns.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleSearch({ env, auth, url, tableName, settings, scope, outputSchema }) {
+  if (!authorize(auth, 'read', tableName)) {
+    return jsonResponse(1, 'Forbidden: Read access required to search records.', null, 403);
+  }
+  if (!settings.search_columns) {
+    return jsonResponse(1, `Full-text search is not enabled for table '${tableName}'. Set 'search_columns' in the table settings.`, null, 400);
+  }
+  const text = (url.searchParams.get('q') || '').trim();
+  if (!text) {
+    return jsonResponse(1, "Query parameter 'q' is required.", null, 400);
+  }
+  const query = url.searchParams.get('syntax') === 'fts5' ? text : toFtsQuery(text);
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+  const offset = Math.max(parseInt(url.searchParams.get('offset')) || 0, 0);
+  try {
+    const page = await searchRecords(env.DB, tableName, { query, limit, offset, scope });
+    const records = mapSchemaOutput(outputSchema, page.items.map(item => item.record));
+    return jsonResponse(0, null, { ...page, items: page.items.map((item, i) => ({ ...item, record: records[i] })) });
+  } catch (error) {
+    console.error(`Error in /api/${tableName}/search endpoint:`, error);
+    if (/fts5|unterminated string|no such column/.test(error.message)) {
+      // Only reachable with syntax=fts5
+      return jsonResponse(1, 'Invalid search query.', { details: error.message }, 400);
+    }
+    return jsonResponse(1, 'Internal server error during search.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `POST /api/{tableName}/search/rebuild`: rebuilds the full-text index.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleRebuildSearchIndex({ env, tableName, settings }) {
+  if (!settings.search_columns) {
+    return jsonResponse(1, `Full-text search is not enabled for table '${tableName}'. Set 'search_columns' in the table settings.`, null, 400);
+  }
+  try {
+    await buildSearchIndex(env.DB, tableName, settings.search_columns);
+    return jsonResponse(0, null, { message: `Search index of table '${tableName}' rebuilt successfully.`, columns: settings.search_columns });
+  } catch (error) {
+    console.error(`Error in /api/${tableName}/search/rebuild endpoint:`, error);
+    return jsonResponse(1, 'Internal server error while rebuilding the search index.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `GET /api/{tableName}/trash`: lists the trashed records of a soft-delete table.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleListTrash({ env, auth, url, tableName, settings }) {
+  if (!authorize(auth, 'read', tableName)) {
+    return jsonResponse(1, 'Forbidden: Read access required for the trash.', null, 403);
+  }
+  if (!settings.soft_delete) {
+    return jsonResponse(1, `Soft delete is not enabled for table '${tableName}'.`, null, 400);
+  }
+  let filter;
+  try {
+    filter = parseFilterParams(url.searchParams);
+  } catch (error) {
+    return jsonResponse(1, 'Invalid filter.', { details: error.message }, 400);
+  }
+  try {
+    const minId = url.searchParams.has('min_id') ? parseInt(url.searchParams.get('min_id')) : undefined;
+    const limit = url.searchParams.has('limit') ? parseInt(url.searchParams.get('limit')) : undefined;
+    const records = await getRecordsWithOptions(env.DB, tableName, { minId, limit, filter, scope: getRowScope(settings, auth, { deleted: true }) });
+    return jsonResponse(0, null, records);
+  } catch (error) {
+    console.error(`Error in /api/${tableName}/trash endpoint:`, error);
+    return jsonResponse(1, 'Internal server error while listing the trash.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `DELETE /api/{tableName}/trash`: purges the records trashed at least `older_than_days` days ago.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handlePurgeTrash({ env, ctx, auth, url, tableName, settings, audit, webhooks }) {
+  if (!authorize(auth, 'delete', tableName)) {
+    return jsonResponse(1, 'Forbidden: Delete access required for the trash.', null, 403);
+  }
+  if (!settings.soft_delete) {
+    return jsonResponse(1, `Soft delete is not enabled for table '${tableName}'.`, null, 400);
+  }
+  const olderThanDays = Number(url.searchParams.get('older_than_days'));
+  if (!url.searchParams.has('older_than_days') || !Number.isInteger(olderThanDays) || olderThanDays < 0) {
+    return jsonResponse(1, "'older_than_days' is required and must be a non-negative integer (0 empties the trash).", null, 400);
+  }
+  try {
+    const trashScope = getRowScope(settings, auth, { deleted: true });
+    const { purged, records } = await purgeTrash(env.DB, tableName, olderThanDays, trashScope, audit, hasWebhooks(webhooks, 'delete'));
+    queueWebhooks(ctx, env, webhooks, tableName, records.map(record => ({ operation: 'delete', id: record.id, record })));
+    return jsonResponse(0, null, { message: `${purged} records purged.`, purged });
+  } catch (error) {
+    console.error(`Error in /api/${tableName}/trash endpoint:`, error);
+    return jsonResponse(1, 'Internal server error while purging the trash.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `GET /api/{tableName}/records/{id}/history`: lists the audit entries of a record.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleRecordHistory({ env, auth, tableName, id, scope }) {
+  if (!authorize(auth, 'read', tableName)) {
+    return jsonResponse(1, 'Forbidden: Read access required to view record history.', null, 403);
+  }
+  if (!id) {
+    return jsonResponse(1, 'Record ID is required for history.', null, 400);
+  }
+  const missingStorage = await checkSystemStorage(env.DB, DB_DA_AUDIT_TABLENAME, 'Audit log');
+  if (missingStorage) {
+    return missingStorage;
+  }
+  try {
+    const history = await getRecordHistory(env.DB, tableName, id, scope);
+    if (history.length === 0) {
+      return jsonResponse('RECORD_NOT_FOUND', 'No history found for this record.', [], 404);
+    }
+    return jsonResponse(0, null, history);
+  } catch (error) {
+    console.error(`Error in /api/${tableName}/records/${id}/history endpoint:`, error);
+    return jsonResponse(1, 'Internal server error while fetching record history.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `POST /api/{tableName}/records/{id}/restore`: restores a record from the trash.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleRestoreRecord({ env, ctx, auth, tableName, id, settings, audit, webhooks }) {
+  if (!authorize(auth, 'delete', tableName)) {
+    return jsonResponse(1, 'Forbidden: Delete access required to restore records.', null, 403);
+  }
+  if (!settings.soft_delete) {
+    return jsonResponse(1, `Soft delete is not enabled for table '${tableName}'.`, null, 400);
+  }
+  if (!checkUserIdValid(id)) {
+    return jsonResponse(1, `Forbidden: record ids 1-${RESERVED_MAX_ID} are reserved for system use.`, null, 403);
+  }
+  try {
+    const restored = await restoreRecord(env.DB, tableName, id, getRowScope(settings, auth, { deleted: true }), audit);
+    if (!restored) {
+      return jsonResponse('RECORD_NOT_FOUND', 'Record not found in the trash.', null, 404);
+    }
+    queueWebhooks(ctx, env, webhooks, tableName, [{ operation: 'update', id }]);
+    return jsonResponse(0, null, { message: 'Record restored successfully', id });
+  } catch (error) {
+    console.error(`Error in /api/${tableName}/records/${id}/restore endpoint:`, error);
+    return jsonResponse(1, 'Internal server error while restoring the record.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `GET /api/{tableName}/indexes`: lists the indexes of a table.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleListIndexes({ env, auth, tableName }) {
+  if (!authorize(auth, 'read', tableName)) {
+    return jsonResponse(1, 'Forbidden: Read access required to list indexes.', null, 403);
+  }
+  try {
+    const indexes = await listIndexes(env.DB, tableName);
+    return jsonResponse(0, null, { indexes });
+  } catch (error) {
+    console.error(`Error in /api/${tableName}/indexes endpoint:`, error);
+    return jsonResponse(1, 'Internal server error while listing indexes.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `POST /api/{tableName}/indexes`: creates an index.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleCreateIndex({ request, env, auth, tableName }) {
+  if (!authorize(auth, 'ddl', tableName)) {
+    return jsonResponse(1, 'Forbidden: Write access required to create indexes.', null, 403);
+  }
+  let definition;
+  try {
+    definition = parseIndexDefinition(tableName, await request.json());
+  } catch (error) {
+    return jsonResponse(1, 'Invalid index definition.', { details: error.message }, 400);
+  }
+  if (await indexExists(env.DB, tableName, definition.name)) {
+    return jsonResponse(1, `Index '${definition.name}' already exists.`, null, 409);
+  }
+  try {
+    const createIndexResult = await createIndex(env.DB, tableName, definition);
+    return jsonResponse(0, null, { message: `Index '${definition.name}' created successfully on table '${tableName}'.`, index: definition, results: createIndexResult }, 201);
+  } catch (error) {
+    console.error(`Error in /api/${tableName}/indexes endpoint:`, error);
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return jsonResponse('UNIQUE_VIOLATION', 'Cannot create UNIQUE index: the table contains duplicate values.', { details: error.message }, 409);
+    }
+    return jsonResponse(1, 'Internal server error during index creation.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `DELETE /api/{tableName}/indexes/{indexName}`: drops an index.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleDropIndex({ env, auth, url, params, tableName }) {
+  if (!authorize(auth, 'ddl', tableName)) {
+    return jsonResponse(1, 'Forbidden: Write access required to drop indexes.', null, 403);
+  }
+  const indexName = params.indexName;
+  if (!checkIdentifierValid(indexName)) {
+    return jsonResponse(1, `Invalid index name '${indexName}'.`, null, 400);
+  }
+  if (!(await indexExists(env.DB, tableName, indexName))) {
+    return jsonResponse('INDEX_NOT_FOUND', `Index '${indexName}' not found on table '${tableName}'.`, null, 404);
+  }
+  try {
+    const dropIndexResult = await dropIndex(env.DB, tableName, indexName);
+    if (dropIndexResult.success) {
+      return jsonResponse(0, null, { message: `Index '${indexName}' from table '${tableName}' dropped successfully.`, results: dropIndexResult });
+    } else {
+      return jsonResponse(1, 'Failed to drop index.', { details: dropIndexResult.error }, 500);
+    }
+  } catch (error) {
+    console.error(`Error in ${url.pathname} endpoint:`, error);
+    return jsonResponse(1, 'Internal server error during index drop.', { details: error.message }, 500);
+  }
+}
+
+/**
+ * `POST /api/{tableName}/records`: inserts a record, or upserts it by c1 with `?upsert=c1`.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleCreateRecord({ request, env, ctx, auth, url, tableName, settings, scope, audit, webhooks }) {
+  if (!authorize(auth, 'insert', tableName)) {
+    return jsonResponse(1, 'Forbidden: Write access required to insert records.', null, 403);
+  }
+  const insertInput = mapSchemaInput(settings.schema, await request.json(), { partial: url.searchParams.has('upsert') });
+  if (insertInput.errors) {
+    return jsonResponse('VALIDATION_FAILED', 'Validation failed.', { errors: insertInput.errors }, 400);
+  }
+  const insertBody = insertInput.data;
+  const insertDataError = validateRecordPayload(insertBody, { allowId: true });
+  if (insertDataError) {
+    return insertDataError;
+  }
+  if (isForeignOwner(insertBody, scope)) {
+    return jsonResponse(1, `Forbidden: '${scope.owner.column}' is the owner column and can only hold your own identity.`, null, 403);
+  }
+  const newData = stampOwner(insertBody, scope);
+  if (url.searchParams.has('upsert')) {
+    if (url.searchParams.get('upsert') !== 'c1') {
+      return jsonResponse(1, "Unsupported upsert mode. Only 'upsert=c1' is supported.", null, 400);
+    }
+    if (!authorize(auth, 'update', tableName)) {
+      return jsonResponse(1, 'Forbidden: Upsert requires both insert and update access.', null, 403);
+    }
+    try {
+      const upsertResult = await upsertRecordByC1(env.DB, tableName, newData, scope, audit);
+      if (!upsertResult) {
+        return jsonResponse('RECORD_NOT_FOUND', 'Record not found.', null, 404);
+      }
+      queueWebhooks(ctx, env, webhooks, tableName, [{ operation: upsertResult.created ? 'insert' : 'update', id: upsertResult.id }]);
+      return jsonResponse(0, null, { message: upsertResult.created ? 'Record created successfully' : 'Record updated successfully', ...upsertResult }, upsertResult.created ? 201 : 200);
+    } catch (error) {
+      return upsertErrorResponse(error);
+    }
+  }
+  const insertResult = await insertRecord(env.DB, tableName, newData, audit);
+  if (insertResult.success) {
+    queueWebhooks(ctx, env, webhooks, tableName, [{ operation: 'insert', id: insertResult.meta.last_row_id }]);
+    return jsonResponse(0, null, { message: 'Record created successfully', id: insertResult.meta.last_row_id }, 201);
+  } else {
+    return jsonResponse(1, 'Failed to create record', { details: insertResult.error }, 500);
+  }
+}
+
+/**
+ * `GET /api/{tableName}/records/{id}`: returns a record with its ETag, or 304 when `If-None-Match` still matches.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleGetRecord({ request, env, auth, tableName, id, scope, outputSchema, edgeCache }) {
+  if (!authorize(auth, 'read', tableName)) {
+    return jsonResponse(1, 'Forbidden: Read access required.', null, 403);
+  }
+  if (!id) {
+    return jsonResponse(1, 'Record ID must be an integer.', null, 400);
+  }
+  const records = await getRecordById(env.DB, tableName, id, scope); // Returns an array
+  if (records.length === 0) {
+    return jsonResponse('RECORD_NOT_FOUND', 'Record not found.', [], 404); // Return empty array in data for consistency
+  }
+  const etag = await computeEtag(records[0]);
+  if (etagMatches(request.headers.get('If-None-Match'), etag, true)) {
+    return new Response(null, { status: 304, headers: { ETag: etag } });
+  }
+  return edgeCache.store(jsonResponse(0, null, mapSchemaOutput(outputSchema, records), 200, { ETag: etag }));
+}
+
+/**
+ * `GET /api/{tableName}/records`: lists records by c1, with filters and paging options, or all of them.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleListRecords({ env, auth, url, tableName, scope, outputSchema, edgeCache }) {
+  if (!authorize(auth, 'read', tableName)) {
+    return jsonResponse(1, 'Forbidden: Read access required.', null, 403);
+  }
+  let filter;
+  try {
+    filter = parseFilterParams(url.searchParams);
+  } catch (error) {
+    return jsonResponse(1, 'Invalid filter.', { details: error.message }, 400);
+  }
+  if (filter && url.searchParams.has('c1')) {
+    // Plain `c1=` combines with the filter as an equality condition
+    filter.and.push({ column: 'c1', op: 'eq', value: url.searchParams.get('c1') });
+  }
+
+  if (url.searchParams.has('c1') && !filter) {
+    const c1Value = url.searchParams.get('c1');
+    const records = await getRecordsByC1(env.DB, tableName, c1Value, scope);
+    return edgeCache.store(jsonResponse(0, null, mapSchemaOutput(outputSchema, records)));
+  } else {
+    // Handle requests with min_id, limit, offset, or no parameters
+    const minId = url.searchParams.has('min_id') ? parseInt(url.searchParams.get('min_id')) : undefined;
+    const maxIdParam = url.searchParams.has('max_id') ? parseInt(url.searchParams.get('max_id')) : undefined; // This maxId is for filtering records
+    const limit = url.searchParams.has('limit') ? parseInt(url.searchParams.get('limit')) : undefined;
+    const offset = url.searchParams.has('offset') ? parseInt(url.searchParams.get('offset')) : undefined;
+    const order = url.searchParams.get('order');
+    const orderby = url.searchParams.get('orderby');
+
+    if (url.searchParams.has('cursor')) {
+      if (minId !== undefined || offset !== undefined) {
+        return jsonResponse(1, "Cannot use 'cursor' together with 'min_id' or 'offset'.", null, 400);
+      }
+      let cursor = null;
+      if (url.searchParams.get('cursor')) {
+        try {
+          cursor = decodeCursor(url.searchParams.get('cursor'));
+        } catch (error) {
+          return jsonResponse(1, 'Invalid cursor.', { details: error.message }, 400);
+        }
+      }
+      const page = await getRecordsPage(env.DB, tableName, { cursor, maxId: maxIdParam, limit, order, orderby, filter, scope });
+      return edgeCache.store(jsonResponse(0, null, { ...page, items: mapSchemaOutput(outputSchema, page.items) }));
+    }
+
+    if (filter || minId !== undefined || maxIdParam !== undefined || limit !== undefined || offset !== undefined || order !== undefined || orderby !== undefined) {
+      const records = await getRecordsWithOptions(env.DB, tableName, { minId, maxId: maxIdParam, limit, offset, order, orderby, filter, scope });
+      return edgeCache.store(jsonResponse(0, null, mapSchemaOutput(outputSchema, records)));
+    } else {
+      // If no specific ID, c1, or new options, return all records
+      const allRecords = await getAllRecords(env.DB, tableName, scope);
+      return edgeCache.store(jsonResponse(0, null, mapSchemaOutput(outputSchema, allRecords)));
+    }
+  }
+}
+
+/**
+ * `PUT /api/{tableName}/records/by-c1/{c1}`: inserts or updates the record with this c1.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleUpsertRecordByC1({ request, env, ctx, auth, params, tableName, settings, scope, audit, webhooks }) {
+  if (!authorize(auth, 'update', tableName)) {
+    return jsonResponse(1, 'Forbidden: Write access required to update records.', null, 403);
+  }
+  if (!authorize(auth, 'insert', tableName)) {
+    return jsonResponse(1, 'Forbidden: Upsert requires both insert and update access.', null, 403);
+  }
+  const c1Value = params.c1;
+  const upsertInput = mapSchemaInput(settings.schema, await request.json(), { partial: true });
+  if (upsertInput.errors) {
+    return jsonResponse('VALIDATION_FAILED', 'Validation failed.', { errors: upsertInput.errors }, 400);
+  }
+  const upsertData = upsertInput.data;
+  const upsertDataError = validateRecordPayload(upsertData, { allowEmpty: true });
+  if (upsertDataError) {
+    return upsertDataError;
+  }
+  if (upsertData.c1 !== undefined && upsertData.c1 !== c1Value) {
+    return jsonResponse(1, "Body 'c1' does not match the c1 in the URL.", null, 400);
+  }
+  if (isForeignOwner({ ...upsertData, c1: c1Value }, scope)) {
+    return jsonResponse(1, `Forbidden: '${scope.owner.column}' is the owner column and can only hold your own identity.`, null, 403);
+  }
+  try {
+    const upsertResult = await upsertRecordByC1(env.DB, tableName, stampOwner({ ...upsertData, c1: c1Value }, scope), scope, audit);
+    if (!upsertResult) {
+      return jsonResponse('RECORD_NOT_FOUND', 'Record not found.', null, 404);
+    }
+    queueWebhooks(ctx, env, webhooks, tableName, [{ operation: upsertResult.created ? 'insert' : 'update', id: upsertResult.id }]);
+    return jsonResponse(0, null, { message: upsertResult.created ? 'Record created successfully' : 'Record updated successfully', ...upsertResult }, upsertResult.created ? 201 : 200);
+  } catch (error) {
+    return upsertErrorResponse(error);
+  }
+}
+
+/**
+ * `PUT /api/{tableName}/records/{id}`: updates a record, guarded by `If-Match` when sent.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleUpdateRecord({ request, env, ctx, auth, tableName, id, settings, scope, audit, webhooks }) {
+  if (!authorize(auth, 'update', tableName)) {
+    return jsonResponse(1, 'Forbidden: Write access required to update records.', null, 403);
+  }
+  if (!id) {
+    return jsonResponse(1, 'Record ID is required for update.', null, 400);
+  }
+  if (!checkUserIdValid(id)) {
+    return jsonResponse(1, `Forbidden: record ids 1-${RESERVED_MAX_ID} are reserved for system use.`, null, 403);
+  }
+  const updateInput = mapSchemaInput(settings.schema, await request.json(), { partial: true });
+  if (updateInput.errors) {
+    return jsonResponse('VALIDATION_FAILED', 'Validation failed.', { errors: updateInput.errors }, 400);
+  }
+  const updateData = updateInput.data;
+  const updateDataError = validateRecordPayload(updateData);
+  if (updateDataError) {
+    return updateDataError;
+  }
+  if (isForeignOwner(updateData, scope)) {
+    return jsonResponse(1, `Forbidden: '${scope.owner.column}' is the owner column and can only hold your own identity.`, null, 403);
+  }
+  const updatePrecondition = await checkIfMatch(request, env.DB, tableName, id, scope);
+  if (updatePrecondition.error) {
+    return updatePrecondition.error;
+  }
+  const updateResult = await updateRecord(env.DB, tableName, id, updateData, updatePrecondition.scope, audit);
+  if (updateResult.success && updatePrecondition.scope !== scope && updateResult.changes === 0) {
+    // The row changed between the If-Match check and the update
+    return jsonResponse(1, 'Precondition failed: the record has been modified.', null, 412);
+  }
+  if (updateResult.success && scope && updateResult.changes === 0) {
+    // Rows owned by someone else are reported as missing, not forbidden
+    return jsonResponse('RECORD_NOT_FOUND', 'Record not found.', null, 404);
+  }
+  if (updateResult.success) {
+    if (updateResult.changes > 0) {
+      queueWebhooks(ctx, env, webhooks, tableName, [{ operation: 'update', id }]);
+    }
+    return jsonResponse(0, null, { message: 'Record updated successfully', changes: updateResult.changes});
+  } else {
+    return jsonResponse(1, 'Failed to update record', { details: updateResult.error }, 500);
+  }
+}
+
+/**
+ * `PATCH /api/{tableName}/records/{id}`: updates fields of a record with field operators and returns it.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handlePatchRecord({ request, env, ctx, auth, tableName, id, settings, scope, audit, webhooks, outputSchema }) {
+  if (!authorize(auth, 'update', tableName)) {
+    return jsonResponse(1, 'Forbidden: Write access required to update records.', null, 403);
+  }
+  if (!id) {
+    return jsonResponse(1, 'Record ID is required for update.', null, 400);
+  }
+  if (!checkUserIdValid(id)) {
+    return jsonResponse(1, `Forbidden: record ids 1-${RESERVED_MAX_ID} are reserved for system use.`, null, 403);
+  }
+  const patchInput = mapSchemaInput(settings.schema, await request.json(), { partial: true, patch: true });
+  if (patchInput.errors) {
+    return jsonResponse('VALIDATION_FAILED', 'Validation failed.', { errors: patchInput.errors }, 400);
+  }
+  let patch;
+  try {
+    patch = parsePatchOperations(patchInput.data);
+  } catch (error) {
+    return jsonResponse(1, 'Invalid patch.', { details: error.message }, 400);
+  }
+  if (isForeignOwner(patch.values, scope)) {
+    return jsonResponse(1, `Forbidden: '${scope.owner.column}' is the owner column and can only hold your own identity.`, null, 403);
+  }
+  const patchPrecondition = await checkIfMatch(request, env.DB, tableName, id, scope);
+  if (patchPrecondition.error) {
+    return patchPrecondition.error;
+  }
+  let patched;
+  try {
+    patched = await patchRecord(env.DB, tableName, id, patch, patchPrecondition.scope, audit);
+  } catch (error) {
+    if (error.message.includes('JSON')) {
+      // Malformed JSON in the column or an invalid JSON path
+      return jsonResponse(1, 'Invalid patch.', { details: error.message }, 400);
+    }
+    throw error;
+  }
+  if (!patched && patchPrecondition.scope !== scope) {
+    return jsonResponse(1, 'Precondition failed: the record has been modified.', null, 412);
+  }
+  if (!patched) {
+    return jsonResponse('RECORD_NOT_FOUND', 'Record not found.', null, 404);
+  }
+  queueWebhooks(ctx, env, webhooks, tableName, [{ operation: 'update', id, record: patched }]);
+  return jsonResponse(0, null, mapSchemaOutput(outputSchema, [patched])[0], 200, { ETag: await computeEtag(patched) });
+}
+
+/**
+ * `DELETE /api/{tableName}/records/{id}`: deletes a record, or moves it to the trash in soft-delete mode.
+ * @param {RouteContext} context
+ * @returns {Promise<Response>}
+ */
+async function handleDeleteRecord({ request, env, ctx, auth, tableName, id, scope, audit, webhooks }) {
+  if (!authorize(auth, 'delete', tableName)) {
+    return jsonResponse(1, 'Forbidden: Write access required to delete records.', null, 403);
+  }
+  if (!id) {
+    return jsonResponse(1, 'Record ID is required for delete.', null, 400);
+  }
+  if (!checkUserIdValid(id)) {
+    return jsonResponse(1, `Forbidden: record ids 1-${RESERVED_MAX_ID} are reserved for system use.`, null, 403);
+  }
+  const deletePrecondition = await checkIfMatch(request, env.DB, tableName, id, scope);
+  if (deletePrecondition.error) {
+    return deletePrecondition.error;
+  }
+  // Read before deleting, so the webhooks can carry the record
+  const [deletedRecord = null] = hasWebhooks(webhooks, 'delete') ? await getRecordById(env.DB, tableName, id, scope) : [];
+  const deleteResult = await deleteRecord(env.DB, tableName, id, deletePrecondition.scope, audit);
+  if (deleteResult.success) {
+    if (deleteResult.meta.changes === 0 && deletePrecondition.scope !== scope) {
+      return jsonResponse(1, 'Precondition failed: the record has been modified.', null, 412);
+    }
+    if (deleteResult.meta.changes > 0) {
+      queueWebhooks(ctx, env, webhooks, tableName, [{ operation: 'delete', id, record: deletedRecord }]);
+      return jsonResponse(0, null, { message: 'Record deleted successfully' });
+    } else {
+      return jsonResponse('RECORD_NOT_FOUND', 'Record not found or already deleted.', null, 404);
+    }
+  } else {
+    return jsonResponse(1, 'Failed to delete record', { details: deleteResult.error }, 500);
+  }
+}
+
+
+/**
+ * Checks that a table or index name is a safe SQL identifier: letters, digits and underscores,
+ * not starting with a digit, at most 64 characters, and not using a SQLite or D1 internal prefix.
+ * @param {string} name - The identifier to check.
+ * @returns {boolean}
+ */
+function checkIdentifierValid(name) {
+  return typeof name === 'string'
+    && IDENTIFIER_PATTERN.test(name)
+    && !RESERVED_IDENTIFIER_PREFIXES.some(prefix => name.toLowerCase().startsWith(prefix));
+}
+
+/**
+ * Returns the keys of `data` that are not valid writable columns.
+ * @param {object} data - A record payload.
+ * @param {boolean} [allowId=false] - Whether `id` is accepted (inserts with an explicit id).
+ * @returns {string[]} The invalid keys; empty if all are valid.
+ */
+function findInvalidColumns(data, allowId = false) {
+  return Object.keys(data).filter(key => !checkColumnValid(key) && !(allowId && key === 'id'));
+}
+
+/**
+ * Checks that an explicit record id lies outside the reserved system range.
+ * @param {any} id - The id to check.
+ * @returns {boolean}
+ */
+function checkUserIdValid(id) {
+  return Number.isInteger(id) && id > RESERVED_MAX_ID;
+}
+
+/**
+ * Checks whether a table belongs to the system (e.g. `__DA_SYSTEM_CONFIG`).
+ * @param {string} tableName - The table name.
+ * @returns {boolean}
+ */
+function isSystemTable(tableName) {
+  return typeof tableName === 'string' && tableName.toUpperCase().startsWith(SYSTEM_TABLE_PREFIX);
+}
+
+/**
+ * Checks whether a table name is a literal path segment of a route (`/api/keys`, `/api/tables/...`).
+ * `matchRoute` prefers those routes, so such a table could not be reached through `/api/{tableName}/`.
+ * @param {string} tableName - The table name.
+ * @returns {boolean}
+ */
+function isReservedTableName(tableName) {
+  const name = String(tableName).toLowerCase();
+  return ROUTES.some(route => route.path.split('/')[2] === name);
+}
+
+/**
+ * Validates a record payload from a request body: it must be a non-empty object of valid columns.
+ * @param {any} data - The parsed request body.
+ * @param {object} [options={}]
+ * @param {boolean} [options.allowEmpty=false] - Whether an empty object is acceptable.
+ * @param {boolean} [options.allowId=false] - Whether an explicit `id` (above the reserved range) is accepted.
+ * @returns {Response | null} A 400 error response, or null if the payload is valid.
+ */
+function validateRecordPayload(data, options = {}) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return jsonResponse(1, 'Request body must be a JSON object.', null, 400);
+  }
+  if (!options.allowEmpty && Object.keys(data).length === 0) {
+    return jsonResponse(1, 'No fields provided.', null, 400);
+  }
+  const invalidColumns = findInvalidColumns(data, options.allowId);
+  if (invalidColumns.length > 0) {
+    return jsonResponse('INVALID_COLUMN', `Invalid column name(s): ${invalidColumns.join(', ')}`, { invalid_columns: invalidColumns }, 400);
+  }
+  if (data.id !== undefined && !checkUserIdValid(data.id)) {
+    return jsonResponse(1, `Explicit id must be an integer greater than ${RESERVED_MAX_ID}; ids 1-${RESERVED_MAX_ID} are reserved.`, null, 400);
+  }
+  return null;
+}
+
+/**
+ * Checks whether a table exists in `sqlite_master`.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The table name (already validated with `checkIdentifierValid`).
+ * @returns {Promise<boolean>}
+ */
+async function tableExists(db, tableName) {
+  const row = await db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ? COLLATE NOCASE;`).bind(tableName).first();
+  return row !== null;
+}
+
+/**
+ * Checks whether an index exists on the given table in `sqlite_master`.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The table the index belongs to.
+ * @param {string} indexName - The index name (already validated with `checkIdentifierValid`).
+ * @returns {Promise<boolean>}
+ */
+async function indexExists(db, tableName, indexName) {
+  const row = await db.prepare(`SELECT name FROM sqlite_master WHERE type = 'index' AND name = ? COLLATE NOCASE AND tbl_name = ? COLLATE NOCASE;`).bind(indexName, tableName).first();
+  return row !== null;
+}
+
+/**
+ * Validates a table name taken from the request before it is used in any SQL.
+ * Returns 400 for a name that is not a safe identifier and 404 for a table that does not exist.
+ *
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The table name from the URL or request body.
+ * @param {boolean} [mustExist=true] - Whether the table has to exist already.
+ * @returns {Promise<Response | null>} An error response, or null if the name is valid.
+ */
+async function validateTableName(db, tableName, mustExist = true) {
+  if (!checkIdentifierValid(tableName)) {
+    return jsonResponse('INVALID_TABLE_NAME', `Invalid table name '${tableName}'. Use letters, digits and underscores (max 64 characters, not starting with a digit).`, null, 400);
+  }
+  if (mustExist && !(await tableExists(db, tableName))) {
+    return jsonResponse('TABLE_NOT_FOUND', `Table '${tableName}' not found.`, null, 404);
+  }
+  return null;
+}
+
+function checkColumnValid(key) {
+  const validColumns = [
+    'c1', 'c2', 'c3',
+    'i1', 'i2', 'i3',
+    'd1', 'd2', 'd3',
+    't1', 't2', 't3',
+    'v1', 'v2', 'v3'
+  ];
+  return validColumns.includes(key);
+}
+
+/**
+ * Computes the ETag of a record: a hash over all fixed columns, so any change
+ * (including two updates within the same second of `v2`) yields a new tag.
+ * @param {object} record - The record row.
+ * @returns {Promise<string>} A strong ETag, quoted.
+ */
+async function computeEtag(record) {
+  const values = EXPORT_COLUMNS.map(column => (record[column] === undefined ? null : record[column]));
+  return `"${(await sha256Hex(JSON.stringify(values))).slice(0, 32)}"`;
+}
+
+/**
+ * Checks an `If-Match` / `If-None-Match` header value against an ETag.
+ * @param {string | null} header - The header value: `*` or a comma-separated list of ETags.
+ * @param {string} etag - The current ETag.
+ * @param {boolean} [weak=false] - Use weak comparison (`W/` prefixes are ignored), as `If-None-Match` does.
+ * @returns {boolean} False when the header is absent.
+ */
+function etagMatches(header, etag, weak = false) {
+  if (!header) {
+    return false;
+  }
+  const tags = header.split(',').map(tag => tag.trim());
+  if (tags.includes('*')) {
+    return true;
+  }
+  const normalize = tag => (weak ? tag.replace(/^W\//, '') : tag);
+  return tags.some(tag => normalize(tag) === etag);
+}
+
+/**
+ * Evaluates the `If-Match` header of a write to one record.
+ *
+ * Without the header the write proceeds unconditionally. With it, the current row must exist (404)
+ * and match one of the given ETags (412). The returned scope then also pins every column to the
+ * values that were checked, so a concurrent write between the check and the update or delete
+ * makes it affect no rows instead of silently overwriting.
+ *
+ * @param {Request} request - The incoming request.
+ * @param {D1Database} db - The D1 database instance.
+ * @param {string} tableName - The table name.
+ * @param {number} id - The record id.
+ * @param {object | null} scope - The row scope (see `getRowScope`).
+ * @returns {Promise<{error: Response} | {scope: object | null}>}
+ */
+async function checkIfMatch(request, db, tableName, id, scope) {
+  const header = request.headers.get('If-Match');
+  if (!header) {
+    return { scope };
+  }
+  const [record] = await getRecordById(db, tableName, id, scope);
+  if (!record) {
+    return { error: jsonResponse('RECORD_NOT_FOUND', 'Record not found.', null, 404) };
+  }
+  const etag = await computeEtag(record);
+  if (!etagMatches(header, etag)) {
+    return { error: jsonResponse(1, 'Precondition failed: the record has been modified.', null, 412, { ETag: etag }) };
+  }
+  if (header.trim() === '*') {
+    return { scope };
+  }
+  const unchanged = {
+    sql: EXPORT_COLUMNS.map(column => `${column} IS ?`).join(' AND '),
+    params: EXPORT_COLUMNS.map(column => (record[column] === undefined ? null : record[column])),
+  };
+  const merged = scopedWhere(unchanged.sql, unchanged.params, scope);
+  return { scope: { owner: null, softDelete: false, ...scope, sql: merged.sql, params: merged.params } };
 }
  